@@ -0,0 +1,12 @@
+// BLOB PATHS ===========================================================
+// where blob i floats at a given time, in field coordinates (0..1 on each axis);
+// shared by the marching cubes field (fieldWorker.js) and the ray-marched blobs (raymarch.js)
+
+export function ballPosition( i, time, target = [ 0, 0, 0 ] ) {
+
+    target[ 0 ] = Math.sin( i + 1.26 * time * ( 1.03 + 0.5 * Math.cos( 0.21 * i ) ) ) * 0.27 + 0.5;
+    target[ 1 ] = Math.abs( Math.cos( i + 1.12 * time * Math.cos( 1.22 + 0.1424 * i ) ) ) * 0.77; // dip into the floor
+    target[ 2 ] = Math.cos( i + 1.32 * time * 0.1 * Math.sin( ( 0.92 + 0.53 * i ) ) ) * 0.27 + 0.5;
+    return target;
+
+}
@@ -1,15 +1,35 @@
 import * as THREE from 'three';
-import Stats from 'three/addons/libs/stats.module.js';
 // import { GUI } from 'three/addons/libs/lil-gui.module.min.js';
 // import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { MarchingCubes } from 'three/addons/objects/MarchingCubes.js';
 import gsap from 'gsap';
 // import ScrollTrigger from 'gsap/ScrollTrigger';
-import { WheelAdaptor } from 'three-story-controls'; 
+import { StepNavigator } from '../shared/navigator.js';
+import { connectInputs } from '../shared/input.js';
+import { stepFromHash, linkToHash } from '../shared/deeplink.js';
+import { kiosk, runKiosk } from '../shared/kiosk.js';
+import { getCycle, trackChoices, textForCycle } from '../shared/cycle.js';
+import { createPageAudio, AudioLevels } from '../shared/audio.js';
+import { accessibility, announceStep, showCaptions, createAccessibilityControls } from '../shared/accessibility.js';
+import { renderTexts } from '../shared/story.js';
+import { PostProcessing, postDefaults } from '../shared/postprocessing.js';
+import { QualityManager, createQualityControl } from '../shared/quality.js';
+import { authoring, createAuthoringPanel, createFreeCamera, capturePose, addFields, exportJSON, pickJSON } from '../shared/authoring.js';
+import { Webcam, createFallbackTexture } from './webcam.js';
+import { MetaballField } from './metaballField.js';
+import { RaymarchedBlobs } from './raymarch.js';
+import { createWebcamMaterial, updateWebcamMaterial, webcamDefaults } from './webcamMaterial.js';
+import { localizeStory, translatePage, createLanguageSwitcher } from '../shared/i18n.js';
+import { sceneTextEnabled, SceneText } from '../shared/sceneText.js';
+import { JourneyRecorder, createRecordButton } from '../shared/recorder.js';
+import { createReflectionPrompt } from '../shared/reflections.js';
+import { track, trackJourney } from '../shared/analytics.js';
+import { moon } from '../shared/moon.js';
+import storyFile from './story.json';
 
 let container, stats;
 
-let camera, scene, renderer;
+let camera, scene, renderer, post, recorder;
 
 let materials, current_material;
 
@@ -17,64 +37,84 @@ let reflectionCube, refractionCube;
 
 let light, pointLight, ambientLight;
 
-let effect, resolution, effectGroup;
+let effect, resolution, effectGroup, metaballs;
+
+let raymarched, stepRenderer = 'marchingCubes', blobRenderer = 'marchingCubes';
 
 let effectController;
 
-let video, videoTexture;
+let webcam, fallbackTexture, webcamController;
+
+let sceneTexts = [];
 
 let time = 0;
 
 const clock = new THREE.Clock();
 
-// Background sound
-window.addEventListener('load', () => {
-    const audio = document.getElementById('background-audio');
-    // console.log("loaded")
-    audio.play().catch(error => {
-      console.error('Audio playback failed:', error);
-    });
-  });
+// the story in the visitor's language (see shared/i18n.js); the authoring panel edits the file itself
+const story = authoring ? storyFile : localizeStory(storyFile, 'born');
+
+// Background sound and step cues (defined in story.json)
+const audio = createPageAudio(story.audio);
+
+// the soundtrack's loudness and frequency bands drive the blobs (see updateCubes)
+const audioLevels = new AudioLevels(audio);
+
+// and so does the moon (see shared/moon.js): more blobs, flowing faster, as it fills
+const lunar = {
+    blobs: 0.75 + 0.5 * moon.illumination,
+    speed: 0.8 + 0.4 * moon.illumination
+};
+
+// reduced motion, captions and narration (see shared/accessibility.js),
+// the page's texts in the visitor's language and the language menu
+createAccessibilityControls();
+showCaptions(audio);
+translatePage();
+createLanguageSwitcher();
+
+// Quality tiers: stepped down or up from the measured frame time (see shared/quality.js);
+// a step's ray-marched blobs are only drawn on the high tier, the others fall back to marching cubes
+const qualityTiers = {
+    low: { resolution: 40, pixelRatio: 1, bloom: false, antialias: false, raymarch: false },
+    medium: { resolution: 60, pixelRatio: 1, bloom: true, antialias: true, raymarch: false },
+    high: { resolution: 80, pixelRatio: Math.min(window.devicePixelRatio, 2), bloom: true, antialias: true, raymarch: true }
+};
+const quality = new QualityManager();
+createQualityControl(quality);
+
+quality.addEventListener('change', (e) => {
+    const settings = qualityTiers[e.detail.tier];
+
+    // the marching cubes pick up the new resolution in render()
+    effectController.resolution = settings.resolution;
+    renderer.setPixelRatio(settings.pixelRatio);
+    post.setPixelRatio(settings.pixelRatio);
+    post.bloomEnabled = settings.bloom;
+    applyBlobRenderer();
+});
 
 // Webcam setup
+// materials['webcam'] always exists: it shows the generated fallback image
+// until the camera is allowed and streaming, and again if it stops
 function setupWebcam() {
-    video = document.getElementById('video');
-    
-    navigator.mediaDevices.getUserMedia({ 
-        video: {
-            width: 1280,  // Specify video dimensions
-            height: 720
-        }})
-        .then(function(stream) {
-            video.srcObject = stream;
-            video.play();
-
-            videoTexture = new THREE.VideoTexture(video);
-            videoTexture.minFilter = THREE.LinearFilter;
-            videoTexture.magFilter = THREE.LinearFilter;
-            videoTexture.wrapS = THREE.RepeatWrapping;
-            videoTexture.wrapT = THREE.RepeatWrapping;
-            videoTexture.repeat.set(1, 2); // 
-            
-            // Try MeshPhongMaterial for better texture visibility
-            materials['webcam'] = new THREE.MeshPhongMaterial({
-                map: videoTexture,
-                side: THREE.DoubleSide,
-                shininess: 10,
-                specular: new THREE.Color(0x000000), 
-                combine: THREE.MixOperation,
-                envMap: reflectionCube,
-                reflectivity: 0.3
-            });
+    webcam = new Webcam(document.getElementById('video'));
+    fallbackTexture = createFallbackTexture();
 
-            // Enable UVs for better texture mapping
-            effect.enableUvs = true;
-            effect.enableColors = true;
+    // blood-tinted shader, its look tweened per step through webcamController
+    materials['webcam'] = createWebcamMaterial({ map: fallbackTexture, envMap: reflectionCube });
+    webcamController = { ...webcamDefaults };
 
-        })
-        .catch(function(err) {
-            console.log("Webcam error: " + err);
-        });
+    // the shader follows the camera
+    webcam.addEventListener('statuschange', (e) => {
+        materials['webcam'].uniforms.map.value = e.detail.status === 'active' ? webcam.texture : fallbackTexture;
+    });
+
+    // the visitor's answer is counted once, when they give it (see shared/analytics.js);
+    // the answer is kept for the visit, so later webcam steps don't ask again
+    webcam.addEventListener('consentclose', (e) => {
+        if (e.detail.granted !== null) track('webcam', { consent: e.detail.granted ? 'granted' : 'declined' });
+    });
 }
 
 // Initial setup
@@ -117,47 +157,55 @@ function init() {
     effectGroup = new THREE.Group();
     scene.add(effectGroup);
 
-    resolution = 80;
+    resolution = qualityTiers[quality.tier].resolution;
 
-    effect = new MarchingCubes( resolution, materials[ current_material ], true, true, 100000 );
+    effect = new MarchingCubes( resolution, materials[ current_material ], true, false, 100000 );
     effect.position.set( 200, 0, 0 );
     effect.scale.set( 700, 700, 700 );
     effect.enableUvs = false;
-    effect.enableColors = false;
+
+    // the voxel field is filled in a web worker (see metaballField.js)
+    metaballs = new MetaballField( effect );
 
     // scene.add( effect );
     effectGroup.add(effect);
 
     // RENDERER
-    renderer = new THREE.WebGLRenderer();
-    renderer.setPixelRatio( window.devicePixelRatio );
+    // antialias can only be chosen here, so it follows the tier the page starts with
+    renderer = new THREE.WebGLRenderer( { antialias: qualityTiers[quality.tier].antialias } );
+    renderer.setPixelRatio( qualityTiers[quality.tier].pixelRatio );
     renderer.setSize( window.innerWidth, window.innerHeight );
     renderer.setAnimationLoop( animate );
     container.appendChild( renderer.domElement );
 
-    // CONTROLS
-    setupWheelControls();
+    // POST-PROCESSING (intensities per step, see story.json)
+    post = new PostProcessing( renderer, scene, camera );
+    post.bloomEnabled = qualityTiers[quality.tier].bloom;
+
+    // RECORDING: the visitor's run as a video, with the texts and the soundtrack (see shared/recorder.js)
+    recorder = new JourneyRecorder( { canvas: renderer.domElement, audio, overlays: [ document.querySelector( '.text-container' ) ], name: 'born' } );
+    createRecordButton( recorder );
+
+    // WEB CAM
+    setupWebcam();
+
+    // RAY-MARCHED BLOBS (a step can pick them instead of the marching cubes)
+    raymarched = new RaymarchedBlobs( { envMap: reflectionCube, webcamUniforms: materials[ 'webcam' ].uniforms } );
+    raymarched.position.copy( effect.position );
+    raymarched.scale.copy( effect.scale );
+    raymarched.visible = false;
+    effectGroup.add( raymarched );
+
+    // CONTROLS (after every material exists, so the authoring panel lists them all)
+    setupStepControls();
     // const controls = new OrbitControls( camera, renderer.domElement );
     // controls.minDistance = 100;
     // controls.maxDistance = 5000;
 
-    // STATS
-    // stats = new Stats();
-    // container.appendChild( stats.dom );
-
-    // GUI
-    // setupGui();
+    // STATS and GUI: the authoring panel (?author) comes with the step controls, see setupGui
 
     // EVENTS
     window.addEventListener( 'resize', onWindowResize );
-
-    // WEB CAM
-    setupWebcam();
-
-    // const audio = document.getElementById('background-audio');
-    // audio.play().catch(error => {
-    //   console.error('Audio playback failed:', error);
-    // });
 }
 
 init();
@@ -168,6 +216,7 @@ function onWindowResize() {
     camera.updateProjectionMatrix();
 
     renderer.setSize( window.innerWidth, window.innerHeight );
+    post.setSize( window.innerWidth, window.innerHeight );
 }
 
 function generateMaterials() {
@@ -217,68 +266,120 @@ function createShaderMaterial( shader, light, ambientLight ) {
 }
 
 // GUI ================================================================
-// function setupGui() {
-
-//     const createHandler = function ( id ) {
-
-//         return function () {
-
-//             current_material = id;
-
-//             effect.material = materials[ id ];
-//             effect.enableUvs = ( current_material === 'textured' ) ? true : false;
-//             effect.enableColors = ( current_material === 'colors' || current_material === 'multiColors' ) ? true : false;
-
-//         };
-
-//     };
-
-//     effectController = {
-
-//         material: 'shiny',
-
-//         speed: .5,
-//         numBlobs: 10,
-//         resolution: 80,
-//         isolation: 50,
-
-//         floor: false,
-//         wallx: false,
-//         wallz: false,
-
-//         dummy: function () {}
-
-//     };
+// authoring panel (?author, see shared/authoring.js): edits the current step
+// of the story in place and applies it right away
+function setupGui( steps, stepNavigator, applyStepState ) {
+
+    const postRanges = {
+        bloom: [ 0, 3, 0.01 ],
+        bloomRadius: [ 0, 1, 0.01 ],
+        bloomThreshold: [ 0, 1, 0.01 ],
+        grain: [ 0, 1, 0.01 ],
+        vignette: [ 0, 1, 0.01 ],
+        aberration: [ 0, 3, 0.01 ],
+        grade: [ 0, 1, 0.01 ]
+    };
 
-//     let h;
+    const webcamRanges = {
+        tintAmount: [ 0, 1, 0.01 ],
+        levels: [ 0, 10, 1 ],
+        threshold: [ 0, 1, 0.01 ],
+        thresholdAmount: [ 0, 1, 0.01 ],
+        distortion: [ 0, 3, 0.01 ],
+        flowSpeed: [ 0, 5, 0.05 ],
+        reflectivity: [ 0, 1, 0.01 ]
+    };
 
-//     const gui = new GUI();
+    const panel = createAuthoringPanel( 'born' );
+    const gui = panel.gui;
+    stats = panel.stats;
 
-//     // material (type)
+    const freeCamera = createFreeCamera( camera, renderer.domElement );
+    let stepFolder;
 
-//     h = gui.addFolder( 'Materials' );
+    const apply = () => applyStepState( steps[ stepNavigator.step ], 0 );
 
-//     for ( const m in materials ) {
+    const tools = {
+        freeCamera: false,
+        capture() {
+            steps[ stepNavigator.step ].camera = capturePose( camera );
+            buildStepFolder();
+        },
+        export() {
+            exportJSON( story, 'story.json' );
+        },
+        load() {
+            // new texts show after a reload, everything else right away
+            pickJSON().then( loaded => {
+                loaded.steps.forEach( ( step, i ) => {
+                    if ( steps[ i ] ) Object.assign( steps[ i ], step );
+                } );
+                buildStepFolder();
+                apply();
+            } ).catch( error => {
+                console.error( 'Could not load the story:', error );
+            } );
+        }
+    };
 
-//         effectController[ m ] = createHandler( m );
-//         h.add( effectController, m ).name( m );
+    // orbiting uses the wheel too, so the steps stay put meanwhile
+    gui.add( tools, 'freeCamera' ).name( 'free camera' ).onChange( enabled => {
+        freeCamera.enabled = enabled;
+        if ( enabled ) {
+            stepNavigator.lock();
+        } else {
+            stepNavigator.unlock();
+            apply();
+        }
+    } );
+    gui.add( tools, 'capture' ).name( 'capture camera pose' );
+    gui.add( tools, 'export' ).name( 'export story.json' );
+    gui.add( tools, 'load' ).name( 'load story.json' );
+
+    function buildStepFolder() {
+
+        if ( stepFolder ) stepFolder.destroy();
+
+        const step = steps[ stepNavigator.step ];
+        stepFolder = gui.addFolder( `step ${ stepNavigator.step }` );
+
+        const cameraFolder = stepFolder.addFolder( 'camera' );
+        [ 'x', 'y', 'z' ].forEach( axis => {
+            cameraFolder.add( step.camera.position, axis, - 2000, 2000, 1 ).onChange( apply );
+        } );
+        if ( step.camera.rotation ) {
+            [ 'x', 'y', 'z' ].forEach( axis => {
+                cameraFolder.add( step.camera.rotation, axis, - Math.PI, Math.PI, 0.01 ).name( `rotation ${ axis }` ).onChange( apply );
+            } );
+        }
 
-//     }
+        const effectFolder = stepFolder.addFolder( 'effect' );
+        effectFolder.add( step.effect, 'speed', 0, 8, 0.05 ).onChange( apply );
+        effectFolder.add( step.effect, 'numBlobs', 1, 60, 1 ).onChange( apply );
+        effectFolder.add( step.effect, 'isolation', 1, 300, 1 ).onChange( apply );
+        effectFolder.add( step.effect, 'rotation' ).onChange( apply );
+        effectFolder.add( step.effect, 'rotationSpeed', 0, 0.1, 0.001 ).onChange( apply );
+        effectFolder.add( step.effect, 'audioReactivity', 0, 1, 0.01 ).onChange( apply );
+
+        const look = { material: step.material || 'shiny', renderer: step.renderer || 'marchingCubes' };
+        stepFolder.add( look, 'material', Object.keys( materials ) ).onChange( value => {
+            step.material = value;
+            apply();
+        } );
+        stepFolder.add( look, 'renderer', [ 'marchingCubes', 'raymarch' ] ).onChange( value => {
+            step.renderer = value;
+            apply();
+        } );
+
+        addFields( stepFolder.addFolder( 'post' ), step, 'post', postDefaults, postRanges, apply );
+        addFields( stepFolder.addFolder( 'webcam' ), step, 'webcam', webcamDefaults, webcamRanges, apply );
 
-//     // simulation
+    }
 
-//     h = gui.addFolder( 'Simulation' );
+    buildStepFolder();
+    stepNavigator.addEventListener( 'change', buildStepFolder );
 
-//     h.add( effectController, 'speed', 0.1, 8.0, 0.05 );
-//     h.add( effectController, 'numBlobs', 1, 50, 1 );
-//     h.add( effectController, 'resolution', 14, 100, 1 );
-//     h.add( effectController, 'isolation', 10, 300, 1 );
-    
-//     h.add( effectController, 'floor' );
-//     h.add( effectController, 'wallx' );
-//     h.add( effectController, 'wallz' );
-
-// }
+}
 
 effectController = {
 
@@ -286,8 +387,9 @@ effectController = {
 
     speed: .5,
     numBlobs: 10,
-    resolution: 80,
+    resolution: qualityTiers[quality.tier].resolution,
     isolation: 50,
+    audioReactivity: 0.2, // how much the soundtrack moves the blobs, 0..1
 
     floor: false,
     wallx: false,
@@ -298,249 +400,93 @@ effectController = {
 };
 
 // SWIPE SCROLL ANIMATIONS =================================================
-function setupWheelControls() {
-    let wheelAdaptor = new WheelAdaptor({ type: 'discrete' });
-    wheelAdaptor.connect();
-    
-    let currentStep = 0;
-    const totalSteps = 13; // 13 texts, starting from text0 to text12
-
-    // set up texts array and initial state (14 texts, starting with text0)
-    let texts = [];
-    for (let i = 0; i <= totalSteps; i++) {
-        texts.push(document.getElementById(`text${i}`));
-    }
+function setupStepControls() {
+    // each step's text, camera pose, effect parameters and material come from story.json;
+    // every pass through the loop adds more blobs and changes the closing line
+    // (while authoring, the panel edits the story's own steps instead, see setupGui)
+    const cycle = getCycle();
+    const steps = authoring ? story.steps : story.steps.map(step => ({
+        ...textForCycle(step, cycle),
+        effect: { ...step.effect, numBlobs: Math.min(step.effect.numBlobs + 4 * cycle, 60) }
+    }));
+    const totalSteps = steps.length;
+    trackChoices();
+
+    // start from the step linked in the URL (#step=N), if any
+    const startStep = stepFromHash(totalSteps);
+
+    const stepNavigator = new StepNavigator({ count: totalSteps, start: startStep, cooldown: 700 });
+    connectInputs(stepNavigator);
+    linkToHash(stepNavigator);
+    runKiosk(stepNavigator); // unattended gallery mode (?kiosk)
+    trackJourney( { page: 'born', stepNavigator } ); // anonymous dwell times and choices (?analytics)
+
+    // the story waits on the webcam step until the visitor answers the consent screen
+    webcam.addEventListener('consentopen', () => stepNavigator.lock('webcam'));
+    webcam.addEventListener('consentclose', () => stepNavigator.unlock('webcam'));
+
+    // build the texts and set their initial state
+    const texts = renderTexts(document.querySelector('.text-container'), steps);
     gsap.set(texts, { opacity: 0, scale: 0.8 });
-    
-    setTimeout(() => {
-        gsap.to(texts[0], {
-            opacity: 1,
-            scale: 1,
-            duration: 1,
-            ease: "power2.inOut"
-        });
-    }, 500); 
 
-    // Define animation states for each step
-    const steps = [
-        //step 0
-        {
-            cameraPos: { x: -100, y: 100, z: 30 }, 
-            effectParams: { 
-                speed: 0.5,
-                numBlobs: 10,
-                isolation: 50,
-                rotation: false,
-                rotationSpeed: 0
-            }
-        },
-        //step 1
-        {
-            cameraPos: { x: 200, y: 0, z: 100}, //{ x: -182, y: 182, z: 400 }
-            effectParams: { 
-                speed: 1,
-                numBlobs: 10,
-                isolation: 50,
-                rotation: false,
-                rotationSpeed: 0
-            }
-        },
-        //step 2
-        {
-            cameraPos: { x: -100, y: 260, z: 500 }, //{ x: 260, y: 260, z: 785 }
-            effectParams: {
-                speed: 1,
-                numBlobs: 10,
-                isolation: 50,
-                rotation: false,
-                rotationSpeed: 0
-            }
-        },
-        //step 3
-        {
-            cameraPos: { x: 400, y: 200, z: 1000 },
-            effectParams: {
-                speed: 1.0,
-                numBlobs: 10,
-                isolation: 70,
-                rotation: false,
-                rotationSpeed: 0
-            }
-        },
-        //step 4
-        {
-            cameraPos: { x: 100, y: 100, z: 1800 }, //z: 1500
-            effectParams: {
-                speed: 1,
-                numBlobs: 30,
-                isolation: 50,
-                rotation: false,
-                rotationSpeed: 0
-            }
-        },
-        //step 5
-        {
-            cameraPos: { x: 300, y: 50, z: 700 }, //z: 1500
-            effectParams: {
-                speed: 1,
-                numBlobs: 50,
-                isolation: 100,
-                rotation: false,
-                rotationSpeed: 0
-            }
-        },
-        //step 6
-        {
-            cameraPos: { x: 200, y: 50, z: 1000}, 
-            effectParams: {
-                speed: 1.5,
-                numBlobs: 40,
-                isolation: 5,
-                rotation: false,
-                rotationSpeed: 0
-            }
-        },
-        //step 7
-        {
-            cameraPos: { x: -100, y: 100, z: 1500 },
-            effectParams: {
-                speed: 2,
-                numBlobs: 30,
-                isolation: 5,
-                rotation: true,
-                rotationSpeed: 0.01
-            }
-        },
-        //step 8
-        {
-            cameraPos: { x: 300, y: 100, z: 2500 },
-            effectParams: {
-                speed: 2,
-                numBlobs: 30,
-                isolation: 20,
-                rotation: true,
-                rotationSpeed: .04
-            }
-        },
-        //step 9
-        {
-            cameraPos: { x: -150, y: 100, z: 3500 },
-            effectParams: {
-                speed: 2,
-                numBlobs: 30,
-                isolation: 50,
-                rotation: true,
-                rotationSpeed: 0.02
-            }
-        },
-        //step 10
-        {
-            cameraPos: { x: 200, y: 50, z: 1000},
-            effectParams: {
-                speed: 1,
-                numBlobs: 20,
-                isolation: 10,
-                rotation: true,
-                rotationSpeed: 0.01,
-                material: 'webcam'
-            }
-        },
-        //step 11
-        {
-            cameraPos: { x: 50, y: 0, z: 500},
-            effectParams: {
-                speed: 1,
-                numBlobs: 20,
-                isolation: 10,
-                rotation: true,
-                rotationSpeed: 0.01,
-                material: 'webcam'
-            }
-        },
-        //step 12
-        {
-            cameraPos: { x: 200, y: 50, z: -1000},
-            effectParams: {
-                speed: 1,
-                numBlobs: 20,
-                isolation: 10,
-                rotation: false,
-                rotationSpeed: 0,
-                material: 'webcam'
-            }
-        }
-    ];
+    // or draw them in the scene (?text=scene, see shared/sceneText.js)
+    if (sceneTextEnabled) placeSceneTexts(texts, steps);
 
     const buttons = document.querySelectorAll('.outlined-button');
     gsap.set(buttons, { opacity: 0, visibility: 'hidden' });
 
-    wheelAdaptor.addEventListener('trigger', (e) => {
-        if (e.y > 0 && currentStep < totalSteps - 1) { // Forward
-            currentStep++;
-            animateToStep(currentStep);
-        } else if (e.y < 0 && currentStep > 0) { // Backward
-            currentStep--;
-            animateToStep(currentStep);
+    // the last step's "reflect" button opens the reflection prompt (see shared/reflections.js)
+    createReflectionPrompt( { chapter: 'born', stepNavigator } );
+    
+    // reveal the first text, or jump straight to the linked step, once the scene is set up
+    setTimeout(() => {
+        if (startStep === 0) {
+            // the first step's camera, blobs and look right away; only its text and post effects fade in
+            applyStepState(steps[0], 0);
+            announceStep(texts, 0);
+            post.to(steps[0].post, 1);
+            gsap.to(texts[0], {
+                opacity: 1,
+                scale: 1,
+                duration: 1,
+                ease: "power2.inOut"
+            });
+        } else {
+            animateToStep(startStep, true);
         }
-        console.log(currentStep);
-    });
+    }, 500); 
 
-    function animateToStep(step) {
-        const targetState = steps[step];
+    stepNavigator.addEventListener('change', (e) => {
+        animateToStep(e.detail.step);
+    });
 
-        // animate camera position
-        gsap.to(camera.position, {
-            x: targetState.cameraPos.x,
-            y: targetState.cameraPos.y,
-            z: targetState.cameraPos.z,
-            duration: 2,
-            ease: "power2.inOut"
-        });
+    if (authoring) setupGui(steps, stepNavigator, applyStepState);
 
-        // animate rotation
-        isRotating = targetState.effectParams.rotation;
-        rotationSpeed = targetState.effectParams.rotationSpeed;
-
-        // update webcam material if specified in the step
-        if (targetState.effectParams.material) {
-            current_material = targetState.effectParams.material;
-            effect.material = materials[current_material];
-            effect.material.needsUpdate = true;
-        } else {
-                current_material = 'shiny';
-        }
+    // immediate skips the transition and sets the step's state right away
+    function animateToStep(step, immediate = false) {
+        const targetState = steps[step];
+        const durationScale = immediate ? 0 : 1;
 
-        effect.material = materials[current_material];
-        effect.material.needsUpdate = true;
+        // play the step's sound cues
+        audio.cue(targetState.cues);
 
-        // animate effect parameters
-        gsap.to(effectController, {
-            speed: targetState.effectParams.speed,
-            numBlobs: targetState.effectParams.numBlobs,
-            isolation: targetState.effectParams.isolation,
-            duration: 4,
-            ease: "power2.inOut",
-            onUpdate: function() {
-                effect.isolation = effectController.isolation;
-                updateCubes(effect, time, effectController.numBlobs, 
-                    effectController.floor, effectController.wallx, effectController.wallz);
-            }
-        });
+        // the navigator stays locked until the camera has reached the step
+        const cameraMove = applyStepState(targetState, durationScale);
+        stepNavigator.lockDuring(cameraMove);
 
         // handle text animations
+        announceStep(texts, step);
         texts.forEach((text, index) => {
-            if (!text) return; // skip if text element doesn't exist
-            
             gsap.to(text, {
                 opacity: index === step ? 1 : 0,
                 scale: index === step ? 1 : 0.8,
-                duration: 1,
+                duration: 1 * durationScale,
                 ease: "power2.inOut"
             });
         });
 
         // hide scroll instruction after step 1
-        if (currentStep >= 1){
+        if (step >= 1){
             gsap.to('#scroll-instruction', {
                 opacity: 0,
                 duration: .5
@@ -553,7 +499,7 @@ function setupWheelControls() {
         }
 
         // delay the buttons to fade in in last step
-        if (currentStep === 12) {
+        if (step === totalSteps - 1) {
             setTimeout(() => {
               buttons.forEach(button => {
                 button.style.visibility = 'visible';
@@ -562,7 +508,7 @@ function setupWheelControls() {
           
               gsap.to('.outlined-button', {
                 opacity: 1,
-                duration: 2,
+                duration: 2 * durationScale,
                 ease: "power2.inOut",
                 // onComplete: function() {
                 //   buttons.forEach(button => {
@@ -570,7 +516,7 @@ function setupWheelControls() {
                 //   });
                 // }
               });
-            }, 1500);
+            }, 1500 * durationScale);
             } else {
               buttons.forEach(button => {
                 button.style.visibility = 'hidden';
@@ -579,52 +525,163 @@ function setupWheelControls() {
               });
             }
     }
+
+    // the scene's state for a step: camera, blobs, material and post effects
+    // (durationScale 0 sets it right away); returns the camera's move
+    function applyStepState(targetState, durationScale) {
+        // animate camera position (a cut instead of a swoop in reduced motion);
+        // the camera looks straight ahead unless the step turns it
+        const cameraDuration = accessibility.reducedMotion ? 0 : 2 * durationScale;
+        const cameraMove = gsap.to(camera.position, {
+            x: targetState.camera.position.x,
+            y: targetState.camera.position.y,
+            z: targetState.camera.position.z,
+            duration: cameraDuration,
+            ease: "power2.inOut"
+        });
+        gsap.to(camera.rotation, {
+            x: 0,
+            y: 0,
+            z: 0,
+            ...targetState.camera.rotation,
+            duration: cameraDuration,
+            ease: "power2.inOut"
+        });
+
+        // animate rotation
+        isRotating = targetState.effect.rotation;
+        rotationSpeed = targetState.effect.rotationSpeed;
+
+        // update webcam material if specified in the step;
+        // the camera only runs (after consent) while a step needs it;
+        // an unattended kiosk keeps the generated reflection, as nobody is there to consent
+        current_material = targetState.material || 'shiny';
+        if (current_material === 'webcam' && !kiosk.enabled) {
+            webcam.request();
+        } else {
+            webcam.stop();
+        }
+
+        effect.material = materials[current_material];
+        effect.material.needsUpdate = true;
+        effect.enableUvs = current_material === 'webcam';
+
+        // draw the blobs with marching cubes (default) or ray-marched ("renderer": "raymarch")
+        stepRenderer = targetState.renderer || 'marchingCubes';
+        applyBlobRenderer();
+
+        // animate effect parameters
+        gsap.to(effectController, {
+            speed: targetState.effect.speed,
+            numBlobs: targetState.effect.numBlobs,
+            isolation: targetState.effect.isolation,
+            audioReactivity: targetState.effect.audioReactivity ?? 0,
+            duration: 4 * durationScale,
+            ease: "power2.inOut"
+        });
+
+        // animate the post effects (back to the defaults where a step sets none)
+        post.to(targetState.post, 4 * durationScale);
+
+        // animate the webcam look (back to the defaults where a step sets none)
+        gsap.to(webcamController, {
+            ...webcamDefaults,
+            ...targetState.webcam,
+            duration: 4 * durationScale,
+            ease: "power2.inOut"
+        });
+
+        return cameraMove;
+    }
 }
 
 
+// SCENE TEXT ===========================================================
+// each step's text floats in front of that step's camera pose, between the
+// camera and the blobs, toward the side of its layout
+function placeSceneTexts( texts, steps ) {
+
+    const forward = new THREE.Vector3();
+    const right = new THREE.Vector3();
+
+    sceneTexts = texts.map( ( el, i ) => {
+
+        const pose = steps[ i ].camera;
+        const { x = 0, y = 0, z = 0 } = pose.rotation || {};
+        const rotation = new THREE.Euler( x, y, z );
+        forward.set( 0, 0, - 1 ).applyEuler( rotation );
+        right.set( 1, 0, 0 ).applyEuler( rotation );
+
+        const side = el.classList.contains( 'text-div-left' ) ? - 1 : ( el.classList.contains( 'text-div-right' ) ? 1 : 0 );
+
+        const text = new SceneText( el, { lineHeight: 28 } );
+        text.position.copy( pose.position ).addScaledVector( forward, 600 ).addScaledVector( right, side * 150 );
+        text.quaternion.setFromEuler( rotation );
+        text.userData.y = text.position.y;
+        scene.add( text );
+
+        return text;
+
+    } );
+
+}
+
 // BLOBS ================================================================
-// this controls content of marching cubes voxel field
-function updateCubes( object, time, numblobs, floor, wallx, wallz ) {
+// the mid frequencies loosen the surface: a lower isolation swells the blobs
+function reactiveIsolation() {
 
-    object.reset();
+    return effectController.isolation * ( 1 - 0.5 * effectController.audioReactivity * audioLevels.mid );
 
-    // fill the field with some metaballs
+}
 
-    const rainbow = [
-        new THREE.Color( 0xff0000 ),
-        new THREE.Color( 0xffbb00 ),
-        new THREE.Color( 0xffff00 ),
-        new THREE.Color( 0x00ff00 ),
-        new THREE.Color( 0x0000ff ),
-        new THREE.Color( 0x9400bd ),
-        new THREE.Color( 0xc800eb )
-    ];
-    const subtract = 12; // size of each blob
-    const strength = 1.2 / ( ( Math.sqrt( numblobs ) - 1 ) / 4 + 1 );
+// rebuild the marching cubes at another resolution (quality tiers): the old GPU buffers are
+// freed first, and the uvs are always recreated, as a later webcam step writes into them
+function resizeCubes( size ) {
 
-    for ( let i = 0; i < numblobs; i ++ ) {
+    const enableUvs = effect.enableUvs;
+    effect.geometry.dispose();
+    effect.enableUvs = true;
+    effect.init( size );
+    effect.enableUvs = enableUvs;
 
-        const ballx = Math.sin( i + 1.26 * time * ( 1.03 + 0.5 * Math.cos( 0.21 * i ) ) ) * 0.27 + 0.5;
-        const bally = Math.abs( Math.cos( i + 1.12 * time * Math.cos( 1.22 + 0.1424 * i ) ) ) * 0.77; // dip into the floor
-        const ballz = Math.cos( i + 1.32 * time * 0.1 * Math.sin( ( 0.92 + 0.53 * i ) ) ) * 0.27 + 0.5;
+}
 
-        if ( current_material === 'multiColors' ) {
+// the step's renderer, if the quality tier allows it (ray marching is opt-in and heavy)
+function applyBlobRenderer() {
 
-            object.addBall( ballx, bally, ballz, strength, subtract, rainbow[ i % 7 ] );
+    blobRenderer = stepRenderer === 'raymarch' && qualityTiers[ quality.tier ].raymarch ? 'raymarch' : 'marchingCubes';
+    effect.visible = blobRenderer === 'marchingCubes';
+    raymarched.visible = blobRenderer === 'raymarch';
+    raymarched.setLook( current_material );
 
-        } else {
+}
 
-            object.addBall( ballx, bally, ballz, strength, subtract );
+// this controls content of marching cubes voxel field:
+// the metaballs are placed and summed in the worker (fieldWorker.js), the mesh follows;
+// the ray-marched blobs take the same parameters straight into their shader
+function updateCubes( time, numblobs, floor, wallx, wallz ) {
 
-        }
+    const subtract = 12; // size of each blob
+    // the bass makes every blob pulse
+    const pulse = 1 + 0.8 * effectController.audioReactivity * audioLevels.bass;
+    const strength = pulse * 1.2 / ( ( Math.sqrt( numblobs ) - 1 ) / 4 + 1 );
 
-    }
+    if ( blobRenderer === 'raymarch' ) {
 
-    if ( floor ) object.addPlaneY( 2, 12 );
-    if ( wallz ) object.addPlaneZ( 2, 12);
-    if ( wallx ) object.addPlaneX( 2, 12 );
+        raymarched.update( { time, numBlobs: numblobs, strength, subtract, isolation: effect.isolation, floor, wallx, wallz } );
+        return;
 
-    object.update();
+    }
+
+    metaballs.request( {
+        time,
+        numBlobs: numblobs,
+        strength,
+        subtract,
+        floor,
+        wallx,
+        wallz
+    } );
 
 }
 
@@ -633,7 +690,7 @@ function updateCubes( object, time, numblobs, floor, wallx, wallz ) {
 function animate() {
 
     render();
-    // stats.update();
+    if ( stats ) stats.update();
 
 }
 
@@ -644,8 +701,12 @@ let rotationSpeed = 0;
 function render() {
 
     const delta = clock.getDelta();
+    quality.frame();
 
-    time += delta * effectController.speed * 0.5;
+    // louder passages speed the blobs up; in reduced motion they flow at half speed
+    audioLevels.update();
+    const motion = accessibility.reducedMotion ? 0.5 : 1;
+    time += delta * effectController.speed * lunar.speed * 0.5 * motion * ( 1 + 2 * effectController.audioReactivity * audioLevels.level );
 
     // console.log('Camera:', {
     //     // position: {
@@ -665,31 +726,46 @@ function render() {
     if ( effectController.resolution !== resolution ) {
 
         resolution = effectController.resolution;
-        effect.init( Math.floor( resolution ) );
+        resizeCubes( Math.floor( resolution ) );
 
     }
 
-    if ( effectController.isolation !== effect.isolation ) {
+    const isolation = reactiveIsolation();
+
+    if ( isolation !== effect.isolation ) {
 
-        effect.isolation = effectController.isolation;
+        effect.isolation = isolation;
 
     }
 
-    updateCubes( effect, time, effectController.numBlobs, effectController.floor, effectController.wallx, effectController.wallz );
+    updateCubes( time, Math.min( effectController.numBlobs * lunar.blobs, 60 ), effectController.floor, effectController.wallx, effectController.wallz );
 
-    // rotation
-    if (isRotating) {
+    // rotation (stopped in reduced motion)
+    if (isRotating && !accessibility.reducedMotion) {
         effectGroup.rotation.y += rotationSpeed;
         effectGroup.rotation.z += rotationSpeed;
     }
 
     // update video texture if there is one
-    if (current_material === 'webcam' && videoTexture) {
-        videoTexture.needsUpdate = true;
+    if (current_material === 'webcam' && webcam.active) {
+        webcam.texture.needsUpdate = true;
     }
 
-    // render
+    if (current_material === 'webcam') {
+        updateWebcamMaterial(materials['webcam'], webcamController, clock.elapsedTime);
+    }
+
+    // texts in the scene follow their overlays' fades, and drift a little (not in reduced motion)
+    sceneTexts.forEach( ( text, i ) => {
+
+        text.update();
+        if ( ! accessibility.reducedMotion ) text.position.y = text.userData.y + Math.sin( clock.elapsedTime * 0.5 + i ) * 8;
+
+    } );
+
+    // render (through the post effects)
 
-    renderer.render( scene, camera );
+    post.render( clock.elapsedTime );
+    recorder.capture();
 
 }
\ No newline at end of file
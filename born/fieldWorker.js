@@ -0,0 +1,93 @@
+// METABALL FIELD WORKER ================================================
+// fills the marching cubes voxel field off the main thread
+// (the same math as MarchingCubes.addBall / addPlane*, which need the whole object)
+//
+// receives { size, time, numBlobs, strength, subtract, floor, wallx, wallz, field }
+// and sends back { size, field }, the buffer transferred each way
+
+import { ballPosition } from './blobs.js';
+
+function addBall( field, size, ballx, bally, ballz, strength, subtract ) {
+
+    const size2 = size * size;
+    const radius = size * Math.sqrt( strength / subtract );
+    const zs = ballz * size, ys = bally * size, xs = ballx * size;
+
+    // don't fill the outer layer, where normals aren't well-defined
+    const minZ = Math.max( 1, Math.floor( zs - radius ) ), maxZ = Math.min( size - 1, Math.floor( zs + radius ) );
+    const minY = Math.max( 1, Math.floor( ys - radius ) ), maxY = Math.min( size - 1, Math.floor( ys + radius ) );
+    const minX = Math.max( 1, Math.floor( xs - radius ) ), maxX = Math.min( size - 1, Math.floor( xs + radius ) );
+
+    for ( let z = minZ; z < maxZ; z ++ ) {
+
+        const zOffset = size2 * z;
+        const fz = z / size - ballz;
+        const fz2 = fz * fz;
+
+        for ( let y = minY; y < maxY; y ++ ) {
+
+            const yOffset = zOffset + size * y;
+            const fy = y / size - bally;
+            const fy2 = fy * fy;
+
+            for ( let x = minX; x < maxX; x ++ ) {
+
+                const fx = x / size - ballx;
+                const val = strength / ( 0.000001 + fx * fx + fy2 + fz2 ) - subtract;
+
+                if ( val > 0.0 ) field[ yOffset + x ] += val;
+
+            }
+
+        }
+
+    }
+
+}
+
+// a soft plane along one side of the field: axis 0 = x, 1 = y, 2 = z
+function addPlane( field, size, axis, strength, subtract ) {
+
+    const strides = [ 1, size, size * size ];
+    const stride = strides[ axis ];
+    const [ strideA, strideB ] = strides.filter( ( s, i ) => i !== axis );
+    const dist = Math.min( size, size * Math.sqrt( strength / subtract ) );
+
+    for ( let d = 0; d < dist; d ++ ) {
+
+        const ddiv = d / size;
+        const val = strength / ( 0.0001 + ddiv * ddiv ) - subtract;
+        if ( val <= 0.0 ) continue;
+
+        for ( let a = 0; a < size; a ++ ) {
+
+            for ( let b = 0; b < size; b ++ ) field[ d * stride + a * strideA + b * strideB ] += val;
+
+        }
+
+    }
+
+}
+
+self.addEventListener( 'message', ( e ) => {
+
+    const { size, time, numBlobs, strength, subtract, floor, wallx, wallz, field } = e.data;
+
+    field.fill( 0 );
+
+    const ball = [ 0, 0, 0 ];
+
+    for ( let i = 0; i < numBlobs; i ++ ) {
+
+        ballPosition( i, time, ball );
+        addBall( field, size, ball[ 0 ], ball[ 1 ], ball[ 2 ], strength, subtract );
+
+    }
+
+    if ( floor ) addPlane( field, size, 1, 2, 12 );
+    if ( wallz ) addPlane( field, size, 2, 2, 12 );
+    if ( wallx ) addPlane( field, size, 0, 2, 12 );
+
+    self.postMessage( { size, field }, [ field.buffer ] );
+
+} );
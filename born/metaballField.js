@@ -0,0 +1,52 @@
+// METABALL FIELD =======================================================
+// feeds a MarchingCubes object with a voxel field computed in fieldWorker.js,
+// so only the polygonization stays on the main thread
+//
+// request() once per frame: while the worker is busy it is skipped,
+// and the mesh is rebuilt as soon as a new field arrives (one frame later)
+
+export class MetaballField {
+
+    constructor(effect) {
+        this.effect = effect;
+        this.worker = new Worker(new URL('./fieldWorker.js', import.meta.url), { type: 'module' });
+        this.pending = false;
+
+        // the buffer handed to the worker, swapped with the effect's own on every result
+        this.spareField = null;
+
+        this.worker.addEventListener('message', (e) => this.receive(e.data));
+        this.worker.addEventListener('error', (error) => {
+            console.error('Metaball worker failed:', error);
+        });
+    }
+
+    // params: { time, numBlobs, strength, subtract, floor, wallx, wallz }
+    request(params) {
+        if (this.pending) return;
+
+        const size3 = this.effect.size3;
+        if (!this.spareField || this.spareField.length !== size3) this.spareField = new Float32Array(size3);
+
+        const field = this.spareField;
+        this.spareField = null;
+
+        this.pending = true;
+        this.worker.postMessage({ ...params, size: this.effect.size, field }, [field.buffer]);
+    }
+
+    receive({ size, field }) {
+        this.pending = false;
+        const effect = this.effect;
+
+        // the resolution changed while the worker was busy: drop this field
+        if (size !== effect.size) return;
+
+        this.spareField = effect.field;
+        effect.field = field;
+
+        // normals are cached per voxel while polygonizing
+        effect.normal_cache.fill(0);
+        effect.update();
+    }
+}
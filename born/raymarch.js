@@ -0,0 +1,221 @@
+import * as THREE from 'three';
+import { ballPosition } from './blobs.js';
+import { webcamLook } from './webcamMaterial.js';
+
+// RAY-MARCHED BLOBS ====================================================
+// the same blob field as the marching cubes (same paths, strength, subtract,
+// isolation and planes), traced per pixel in a fragment shader instead:
+// a smooth surface with no faceting and no polygon limit, paid for on the GPU
+//
+// a box in the effect's own space (-1..1, so it takes the effect's position and scale);
+// a step picks it with "renderer": "raymarch" in story.json
+//
+// looks: 'shiny' (blood red, env-mapped) and 'webcam' (webcamLook, sharing the
+// uniforms of the marching cubes webcam material so both stay in sync)
+
+export const MAX_BLOBS = 64;
+
+const MAX_STEPS = 128;
+
+const vertexShader = /* glsl */`
+    varying vec3 vOrigin;
+    varying vec3 vDirection;
+
+    void main() {
+        // the ray from the camera, in the box's own space
+        vOrigin = ( inverse( modelMatrix ) * vec4( cameraPosition, 1.0 ) ).xyz;
+        vDirection = position - vOrigin;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+    }
+`;
+
+const fragmentShader = /* glsl */`
+    #define MAX_BLOBS ${MAX_BLOBS}
+    #define MAX_STEPS ${MAX_STEPS}
+
+    uniform vec3 balls[ MAX_BLOBS ];
+    uniform int numBlobs;
+    uniform float strength;
+    uniform float subtract;
+    uniform float isolation;
+    uniform bool floorPlane;
+    uniform bool wallX;
+    uniform bool wallZ;
+
+    #ifdef WEBCAM
+    ${webcamLook}
+    #else
+    uniform samplerCube envMap;
+    uniform vec3 tint;
+    #endif
+
+    varying vec3 vOrigin;
+    varying vec3 vDirection;
+
+    // the field at u (field coordinates, 0..1), as MarchingCubes.addBall / addPlane* sum it;
+    // nearest is the squared distance to the closest blob
+    float field( vec3 u, out float nearest ) {
+        float f = 0.0;
+        nearest = 1e5;
+
+        for ( int i = 0; i < MAX_BLOBS; i ++ ) {
+            if ( i >= numBlobs ) break;
+            vec3 d = u - balls[ i ];
+            float r2 = dot( d, d );
+            f += max( strength / ( 0.000001 + r2 ) - subtract, 0.0 );
+            nearest = min( nearest, r2 );
+        }
+
+        if ( floorPlane ) f += max( 2.0 / ( 0.0001 + u.y * u.y ) - 12.0, 0.0 );
+        if ( wallX ) f += max( 2.0 / ( 0.0001 + u.x * u.x ) - 12.0, 0.0 );
+        if ( wallZ ) f += max( 2.0 / ( 0.0001 + u.z * u.z ) - 12.0, 0.0 );
+
+        return f;
+    }
+
+    float fieldAt( vec3 p ) {
+        float nearest;
+        return field( p * 0.5 + 0.5, nearest );
+    }
+
+    // entry and exit distances of the ray through the -1..1 box
+    vec2 hitBox( vec3 origin, vec3 direction ) {
+        vec3 inverseDirection = 1.0 / direction;
+        vec3 t0 = ( vec3( - 1.0 ) - origin ) * inverseDirection;
+        vec3 t1 = ( vec3( 1.0 ) - origin ) * inverseDirection;
+        vec3 tMin = min( t0, t1 );
+        vec3 tMax = max( t0, t1 );
+        return vec2( max( max( tMin.x, tMin.y ), tMin.z ), min( min( tMax.x, tMax.y ), tMax.z ) );
+    }
+
+    void main() {
+        vec3 direction = normalize( vDirection );
+        vec2 bounds = hitBox( vOrigin, direction );
+        bounds.x = max( bounds.x, 0.0 ); // the camera may be inside the box
+        if ( bounds.x > bounds.y ) discard;
+
+        // beyond this distance from every blob the field is empty
+        float reach = sqrt( strength / subtract );
+        bool planes = floorPlane || wallX || wallZ;
+
+        float t = bounds.x;
+        float previous = t;
+        bool hit = false;
+
+        for ( int i = 0; i < MAX_STEPS; i ++ ) {
+            float nearest;
+            float f = field( ( vOrigin + direction * t ) * 0.5 + 0.5, nearest );
+            if ( f > isolation ) {
+                hit = true;
+                break;
+            }
+
+            previous = t;
+            // jump over empty space (field units are half the box's)
+            float gap = planes ? 0.0 : ( sqrt( nearest ) - reach ) * 2.0;
+            t += max( gap, 0.02 );
+            if ( t > bounds.y ) break;
+        }
+
+        if ( ! hit ) discard;
+
+        // refine the crossing between the last two samples
+        for ( int i = 0; i < 6; i ++ ) {
+            float middle = 0.5 * ( previous + t );
+            if ( fieldAt( vOrigin + direction * middle ) > isolation ) {
+                t = middle;
+            } else {
+                previous = middle;
+            }
+        }
+
+        vec3 p = vOrigin + direction * t;
+
+        // the field grows toward the blobs' centers: the normal points down its gradient
+        vec2 e = vec2( 0.005, 0.0 );
+        vec3 gradient = vec3(
+            fieldAt( p + e.xyy ) - fieldAt( p - e.xyy ),
+            fieldAt( p + e.yxy ) - fieldAt( p - e.yxy ),
+            fieldAt( p + e.yyx ) - fieldAt( p - e.yyx )
+        );
+        vec3 normal = normalize( mat3( modelMatrix ) * - gradient );
+        vec3 worldPosition = ( modelMatrix * vec4( p, 1.0 ) ).xyz;
+
+        #ifdef WEBCAM
+        // the marching cubes take their uvs from the same local x and z
+        vec3 color = webcamLook( p.xz, normal, worldPosition );
+        #else
+        // polished blood: the environment mirrored in dark red, with a highlight from the front light
+        vec3 viewDirection = normalize( worldPosition - cameraPosition );
+        vec3 reflected = reflect( viewDirection, normal );
+        vec3 environment = textureCube( envMap, vec3( - reflected.x, reflected.yz ) ).rgb;
+        float highlight = pow( max( dot( reflected, normalize( vec3( 0.5, 0.5, 1.0 ) ) ), 0.0 ), 40.0 );
+        vec3 color = tint * environment * 2.0 + vec3( 1.0, 0.6, 0.5 ) * highlight;
+        #endif
+
+        gl_FragColor = vec4( color, 1.0 );
+    }
+`;
+
+export class RaymarchedBlobs extends THREE.Mesh {
+
+    // envMap: the shiny look's reflection; webcamUniforms: the webcam material's uniforms
+    constructor({ envMap, webcamUniforms }) {
+        const fieldUniforms = {
+            balls: { value: Array.from({ length: MAX_BLOBS }, () => new THREE.Vector3()) },
+            numBlobs: { value: 0 },
+            strength: { value: 1 },
+            subtract: { value: 12 },
+            isolation: { value: 80 },
+            floorPlane: { value: false },
+            wallX: { value: false },
+            wallZ: { value: false }
+        };
+
+        const createMaterial = (uniforms, defines = {}) => new THREE.ShaderMaterial({
+            uniforms: { ...fieldUniforms, ...uniforms },
+            defines,
+            vertexShader,
+            fragmentShader,
+            side: THREE.BackSide // the back faces still draw when the camera is inside the box
+        });
+
+        const materials = {
+            shiny: createMaterial({
+                envMap: { value: envMap },
+                tint: { value: new THREE.Color(0x9c0000) }
+            }),
+            webcam: createMaterial(webcamUniforms, { WEBCAM: '' })
+        };
+
+        super(new THREE.BoxGeometry(2, 2, 2), materials.shiny);
+
+        this.materials = materials;
+        this.fieldUniforms = fieldUniforms;
+        this.ball = [0, 0, 0];
+    }
+
+    // 'webcam' or 'shiny' (other materials are shown as shiny)
+    setLook(name) {
+        this.material = this.materials[name] || this.materials.shiny;
+    }
+
+    // same parameters as the marching cubes field (see updateCubes in born.js)
+    update({ time, numBlobs, strength, subtract, isolation, floor, wallx, wallz }) {
+        const uniforms = this.fieldUniforms;
+        const count = Math.min(Math.ceil(numBlobs), MAX_BLOBS);
+
+        for (let i = 0; i < count; i++) {
+            ballPosition(i, time, this.ball);
+            uniforms.balls.value[i].fromArray(this.ball);
+        }
+
+        uniforms.numBlobs.value = count;
+        uniforms.strength.value = strength;
+        uniforms.subtract.value = subtract;
+        uniforms.isolation.value = isolation;
+        uniforms.floorPlane.value = floor;
+        uniforms.wallX.value = wallx;
+        uniforms.wallZ.value = wallz;
+    }
+}
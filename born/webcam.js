@@ -0,0 +1,211 @@
+import * as THREE from 'three';
+import { t } from '../shared/i18n.js';
+
+// WEBCAM ===============================================================
+// the visitor's own image on the creature in the last steps:
+// asks for consent first, keeps track of the stream's status and
+// stops the camera whenever it is not needed
+//
+// status: 'idle' (not started) | 'pending' (waiting for the browser) | 'active'
+//         | 'declined' (said no on our consent screen) | 'denied' (blocked by the browser)
+//         | 'unavailable' (no camera / no support) | 'revoked' (stream ended while in use)
+// events: 'statuschange' { status }
+//         'consentopen', 'consentclose' { granted } (null if stop() took the screen away unanswered)
+
+const CONSENT_KEY = 'blood-child-webcam-consent';
+
+export class Webcam extends EventTarget {
+
+    constructor(video) {
+        super();
+
+        this.video = video;
+        this.stream = null;
+        this.status = 'idle';
+        this.consent = null; // the open consent screen, if any
+
+        this.texture = new THREE.VideoTexture(video);
+        this.texture.minFilter = THREE.LinearFilter;
+        this.texture.magFilter = THREE.LinearFilter;
+        this.texture.wrapS = THREE.RepeatWrapping;
+        this.texture.wrapT = THREE.RepeatWrapping;
+        this.texture.repeat.set(1, 2);
+    }
+
+    get active() {
+        return this.status === 'active';
+    }
+
+    setStatus(status) {
+        if (status === this.status) return;
+        this.status = status;
+        this.dispatchEvent(new CustomEvent('statuschange', { detail: { status } }));
+    }
+
+    // ask (once per visit) and start the camera if the visitor agrees
+    request() {
+        if (this.active || this.status === 'pending') return Promise.resolve(this.status);
+
+        const consent = sessionStorage.getItem(CONSENT_KEY);
+        const answer = consent ? Promise.resolve(consent === 'granted') : this.ask();
+
+        this.setStatus('pending');
+
+        return answer.then(granted => {
+            if (this.status !== 'pending') return this.status; // stopped while asking
+            sessionStorage.setItem(CONSENT_KEY, granted ? 'granted' : 'declined');
+            if (!granted) {
+                this.setStatus('declined');
+                return this.status;
+            }
+            return this.start();
+        });
+    }
+
+    // show the consent screen: resolves true or false, or null if stop() closed it first
+    ask() {
+        const consent = askConsent();
+        this.consent = consent;
+        this.dispatchEvent(new Event('consentopen'));
+
+        return consent.answer.then(granted => {
+            if (this.consent === consent) this.consent = null;
+            this.dispatchEvent(new CustomEvent('consentclose', { detail: { granted } }));
+            return granted;
+        });
+    }
+
+    start() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            this.setStatus('unavailable');
+            return Promise.resolve(this.status);
+        }
+
+        return navigator.mediaDevices.getUserMedia({
+            video: {
+                width: 1280,  // Specify video dimensions
+                height: 720
+            }})
+            .then(stream => {
+                // the visitor may have moved on while the browser was asking
+                if (this.status !== 'pending') {
+                    stream.getTracks().forEach(track => track.stop());
+                    return this.status;
+                }
+
+                this.stream = stream;
+                this.video.srcObject = stream;
+                this.video.play();
+
+                // permission revoked or camera unplugged while streaming
+                stream.getVideoTracks().forEach(track => {
+                    track.addEventListener('ended', () => {
+                        if (this.stream !== stream) return;
+                        this.release();
+                        this.setStatus('revoked');
+                    });
+                });
+
+                this.setStatus('active');
+                return this.status;
+            })
+            .catch(err => {
+                console.error('Webcam error:', err);
+                const denied = err.name === 'NotAllowedError' || err.name === 'SecurityError';
+                this.setStatus(denied ? 'denied' : 'unavailable');
+                return this.status;
+            });
+    }
+
+    // turn the camera off (its light too) when leaving the webcam steps
+    stop() {
+        if (this.consent) this.consent.close();
+        this.release();
+        if (this.active || this.status === 'pending') this.setStatus('idle');
+    }
+
+    release() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        this.video.srcObject = null;
+    }
+}
+
+// consent screen (styled in born.css): answer resolves true if the visitor allows the camera,
+// false if they decline, or null if close() takes the screen away unanswered
+function askConsent() {
+    let answer;
+    const promise = new Promise(resolve => {
+        const overlay = document.createElement('div');
+        overlay.className = 'webcam-consent';
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-modal', 'true');
+        overlay.setAttribute('aria-labelledby', 'webcam-consent-text');
+
+        const text = document.createElement('p');
+        text.id = 'webcam-consent-text';
+        text.textContent = t('ui.webcamConsent', 'The creature would like to see you. Allow your camera so it can reflect your face? ' +
+            'The image stays on this page and is never recorded or sent anywhere.');
+
+        const buttons = document.createElement('div');
+        buttons.className = 'button-container';
+
+        const allow = document.createElement('button');
+        allow.className = 'outlined-button';
+        allow.textContent = t('ui.allowCamera', 'Allow camera');
+
+        const decline = document.createElement('button');
+        decline.className = 'outlined-button';
+        decline.textContent = t('ui.continueWithout', 'Continue without');
+
+        answer = granted => {
+            overlay.remove();
+            resolve(granted);
+        };
+        allow.addEventListener('click', () => answer(true));
+        decline.addEventListener('click', () => answer(false));
+
+        buttons.appendChild(allow);
+        buttons.appendChild(decline);
+        overlay.appendChild(text);
+        overlay.appendChild(buttons);
+        document.body.appendChild(overlay);
+        allow.focus();
+    });
+
+    return { answer: promise, close: () => answer(null) };
+}
+
+// stand-in for the camera image: a faint figure in a dark, bloody mirror,
+// so the reflection of the self survives without a camera
+export function createFallbackTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 512;
+    canvas.height = 512;
+    const ctx = canvas.getContext('2d');
+
+    const background = ctx.createRadialGradient(256, 256, 40, 256, 256, 360);
+    background.addColorStop(0, '#5a0000');
+    background.addColorStop(1, '#120000');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, 512, 512);
+
+    // head and shoulders, blurred like a reflection in a wet surface
+    ctx.filter = 'blur(12px)';
+    ctx.fillStyle = 'rgba(255, 190, 180, 0.35)';
+    ctx.beginPath();
+    ctx.ellipse(256, 210, 70, 92, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.ellipse(256, 470, 180, 130, 0, Math.PI, Math.PI * 2);
+    ctx.fill();
+    ctx.filter = 'none';
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.repeat.set(1, 2);
+    return texture;
+}
@@ -0,0 +1,123 @@
+import * as THREE from 'three';
+
+// WEBCAM MATERIAL ======================================================
+// the visitor's image seen through blood: tinted red, posterized and
+// thresholded, rippling, and mixed with the BloodEnvironment reflection
+//
+// every look parameter can be set per step ("webcam" in story.json)
+// and is tweened like the effect parameters
+//
+// the look itself is a GLSL function (webcamLook) shared with the ray-marched blobs (raymarch.js)
+
+export const webcamDefaults = {
+    tintAmount: 0.6,   // 0 = original colors, 1 = fully blood red
+    levels: 0,         // posterize to this many brightness levels (0 = off)
+    threshold: 0.45,   // brightness cut between flesh and shadow
+    thresholdAmount: 0,// 0 = smooth image, 1 = hard two-tone threshold
+    distortion: 0.3,   // strength of the flowing ripples
+    flowSpeed: 1,      // speed of the ripples
+    reflectivity: 0.3  // how much of the environment is mirrored
+};
+
+const vertexShader = /* glsl */`
+    varying vec2 vUv;
+    varying vec3 vWorldNormal;
+    varying vec3 vWorldPosition;
+
+    void main() {
+        vUv = uv;
+        vWorldNormal = normalize( mat3( modelMatrix ) * normal );
+        vec4 worldPosition = modelMatrix * vec4( position, 1.0 );
+        vWorldPosition = worldPosition.xyz;
+        gl_Position = projectionMatrix * viewMatrix * worldPosition;
+    }
+`;
+
+// uniforms and look of the webcam surface: uv on the image, world-space normal and position
+export const webcamLook = /* glsl */`
+    uniform sampler2D map;
+    uniform vec2 uvRepeat;
+    uniform samplerCube envMap;
+    uniform float time;
+    uniform vec3 tint;
+    uniform float tintAmount;
+    uniform float levels;
+    uniform float threshold;
+    uniform float thresholdAmount;
+    uniform float distortion;
+    uniform float flowSpeed;
+    uniform float reflectivity;
+
+    vec3 webcamLook( vec2 surfaceUv, vec3 normal, vec3 worldPosition ) {
+        // flowing distortion of the image
+        vec2 uv = surfaceUv * uvRepeat;
+        float t = time * flowSpeed;
+        uv += distortion * 0.03 * vec2(
+            sin( uv.y * 11.0 + t * 1.3 ) + sin( uv.y * 23.0 - t * 0.7 ) * 0.5,
+            cos( uv.x * 9.0 - t * 1.1 ) + cos( uv.x * 19.0 + t * 0.9 ) * 0.5
+        );
+
+        vec3 color = texture2D( map, uv ).rgb;
+        float luma = dot( color, vec3( 0.299, 0.587, 0.114 ) );
+
+        // threshold and posterize the brightness
+        float cut = smoothstep( threshold - 0.05, threshold + 0.05, luma );
+        luma = mix( luma, cut, thresholdAmount );
+        if ( levels > 1.0 ) luma = floor( luma * levels ) / ( levels - 1.0 );
+
+        // tint toward blood: dark clots, pale highlights
+        vec3 blood = mix( tint * 0.15, mix( tint, vec3( 1.0, 0.85, 0.8 ), 0.35 ), luma );
+        color = mix( color, blood, tintAmount );
+
+        // soft light from the front so the blobs keep their volume
+        color *= 0.55 + 0.45 * max( dot( normal, normalize( vec3( 0.5, 0.5, 1.0 ) ) ), 0.0 );
+
+        // blend in the environment reflection
+        vec3 viewDirection = normalize( worldPosition - cameraPosition );
+        vec3 reflected = reflect( viewDirection, normal );
+        vec3 environment = textureCube( envMap, vec3( - reflected.x, reflected.yz ) ).rgb;
+        return mix( color, environment * tint * 2.0, reflectivity );
+    }
+`;
+
+const fragmentShader = /* glsl */`
+    ${webcamLook}
+
+    varying vec2 vUv;
+    varying vec3 vWorldNormal;
+    varying vec3 vWorldPosition;
+
+    void main() {
+        gl_FragColor = vec4( webcamLook( vUv, normalize( vWorldNormal ), vWorldPosition ), 1.0 );
+    }
+`;
+
+export function createWebcamMaterial({ map, envMap }) {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            map: { value: map },
+            uvRepeat: { value: map.repeat.clone() },
+            envMap: { value: envMap },
+            time: { value: 0 },
+            tint: { value: new THREE.Color(0x9c0000) },
+            tintAmount: { value: webcamDefaults.tintAmount },
+            levels: { value: webcamDefaults.levels },
+            threshold: { value: webcamDefaults.threshold },
+            thresholdAmount: { value: webcamDefaults.thresholdAmount },
+            distortion: { value: webcamDefaults.distortion },
+            flowSpeed: { value: webcamDefaults.flowSpeed },
+            reflectivity: { value: webcamDefaults.reflectivity }
+        },
+        vertexShader,
+        fragmentShader,
+        side: THREE.DoubleSide
+    });
+}
+
+// copy the current (tweened) look parameters into the material
+export function updateWebcamMaterial(material, params, time) {
+    for (const name in webcamDefaults) {
+        material.uniforms[name].value = params[name];
+    }
+    material.uniforms.time.value = time;
+}
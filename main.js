@@ -1,17 +1,47 @@
 import gsap from 'gsap'
 import ScrollTrigger from 'gsap/ScrollTrigger'
+import { StepNavigator } from './shared/navigator.js'
+import { connectInputs } from './shared/input.js'
+import { stepFromHash, linkToHash } from './shared/deeplink.js'
+import { runKiosk } from './shared/kiosk.js'
+import { trackChoices } from './shared/cycle.js'
+import { createPageAudio } from './shared/audio.js'
+import { accessibility, announceStep, showCaptions, createAccessibilityControls } from './shared/accessibility.js'
+import { t, translatePage, createLanguageSwitcher } from './shared/i18n.js'
+import { trackJourney } from './shared/analytics.js'
+import { moon } from './shared/moon.js'
 
 gsap.registerPlugin(ScrollTrigger);
 
 // Background sound
-window.addEventListener('mousemove', () => {
-    const audio = document.getElementById('background-audio');
-    audio.muted = false;
-    // console.log("loaded")
-    audio.play().catch(error => {
-        console.error('Audio playback failed:', error);
-    });
-    });
+const audio = createPageAudio({
+    bed: 'ambient',
+    layers: {
+        ambient: { src: '/sounds/ambient.m4a', loop: true, caption: t('landing.ambientCaption', 'screams and murmurs, muffled and far away') }
+    }
+});
+
+// reduced motion, captions and narration (see shared/accessibility.js)
+createAccessibilityControls();
+showCaptions(audio);
+
+// the page's texts in the visitor's language, and the language menu (see shared/i18n.js)
+translatePage();
+createLanguageSwitcher();
+
+// the background gradients follow the moon (see shared/moon.js):
+// dim and blood-dark at the new moon, brighter with a silver cast at the full
+const moonColors = ['--color1', '--color2', '--color3', '--color4', '--color5', '--color-interactive'];
+const rootStyle = getComputedStyle(document.documentElement);
+const brightness = 0.6 + 0.8 * moon.illumination;
+const silver = [0, 20, 30].map(amount => amount * moon.illumination);
+moonColors.forEach(name => {
+    const rgb = rootStyle.getPropertyValue(name).split(',').map(Number);
+    if (rgb.length !== 3 || rgb.some(isNaN)) return;
+
+    const lit = rgb.map((value, i) => Math.round(Math.min(255, value * brightness + silver[i])));
+    document.documentElement.style.setProperty(name, lit.join(', '));
+});
 
 document.addEventListener('DOMContentLoaded', () => {
      // Modal function ==============================================
@@ -39,7 +69,10 @@ document.addEventListener('DOMContentLoaded', () => {
          }
      });
 
-     
+
+    // remember which chapter the visitor picks (see shared/cycle.js)
+    trackChoices();
+
     // Initialize text states ====================================================
     const texts = [
         document.getElementById('text0'),
@@ -55,25 +88,30 @@ document.addEventListener('DOMContentLoaded', () => {
         text.style.opacity = '0'; 
     });
 
-    // show only text0
-    texts[0].style.visibility = 'visible'; 
-    texts[0].style.opacity = '1'; 
-    gsap.set(texts[0], { scale: 1 });
-    gsap.set(texts.slice(1), { scale: 0.8 }); 
+    // show only the first text, or the one linked in the URL (#step=N)
+    const startIndex = stepFromHash(texts.length);
+    texts[startIndex].style.visibility = 'visible'; 
+    texts[startIndex].style.opacity = '1'; 
+    gsap.set(texts, { scale: 0.8 }); 
+    gsap.set(texts[startIndex], { scale: 1 });
 
     // hide buttons initially and prevent pointer events
     const buttons = document.querySelectorAll('.outlined-button');
     gsap.set(buttons, { opacity: 0, pointerEvents: 'none' });
 
-    // Wheel event handler: update text every swipe ====================================================
-    let currentIndex = 0;
-    let isAnimating = false;
-    let wheelTimeout;
-    // prevent scroll if animation is in progress
-    let lastScrollTime = 0;
-    let scrollCooldown = 1500; // ms between scroll events
+    // Step navigation: update text every swipe ====================================================
+    // the navigator is locked while a text animates in, and waits 1.5s between steps
+    const stepNavigator = new StepNavigator({ count: texts.length, start: startIndex, cooldown: 1500 });
+    connectInputs(stepNavigator);
+    linkToHash(stepNavigator);
+    runKiosk(stepNavigator); // unattended gallery mode (?kiosk)
+    trackJourney({ page: 'landing', stepNavigator }); // anonymous dwell times and the chapter chosen (?analytics)
 
     function updateTexts() {
+        const currentIndex = stepNavigator.step;
+        stepNavigator.lock();
+        announceStep(texts, currentIndex);
+
         // Animate current text in
         gsap.to(texts[currentIndex], {
             opacity: 1,
@@ -82,7 +120,7 @@ document.addEventListener('DOMContentLoaded', () => {
             duration: 1.5,
             ease: "power2.out",
             onComplete: () => {
-                isAnimating = false;
+                stepNavigator.unlock();
             }
         });
 
@@ -119,42 +157,9 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    updateTexts(0)
-
-    window.addEventListener('wheel', (e) => {
-         // prevent scroll if animation is in progress or within cooldown
-         if (isAnimating || Date.now() - lastScrollTime < scrollCooldown) {
-            e.preventDefault();
-            return;
-        }
-        
-        clearTimeout(wheelTimeout);
-
-        wheelTimeout = setTimeout(() => {
-            if (isAnimating) return;
-            isAnimating = true;
-            lastScrollTime = Date.now();
-
-            // Detect scroll direction
-            if (e.deltaY > 0 && currentIndex < texts.length - 1) {
-                // Scrolling down
-                currentIndex++;
-                updateTexts();
-                // console.log(currentIndex, 'down');
-            } else if (e.deltaY < 0 && currentIndex > 0) {
-                // Scrolling up
-                currentIndex--;
-                updateTexts();
-                // console.log(currentIndex, 'up');
-            } else {
-                isAnimating = false;
-            }
-        }, 10); //timeout delay (ms)
-    }, { passive: false });
-
-
-   
+    updateTexts();
 
+    stepNavigator.addEventListener('change', updateTexts);
 
     // Mouse gradient interaction ==============================================
     const interBubble = document.querySelector('.mouse-interactive');
@@ -164,6 +169,11 @@ document.addEventListener('DOMContentLoaded', () => {
     let tgY = 0;
 
     function move() {
+        // the bubble stays where it is in reduced motion
+        if (accessibility.reducedMotion) {
+            requestAnimationFrame(move);
+            return;
+        }
         curX += (tgX - curX) / 20;
         curY += (tgY - curY) / 20;
         interBubble.style.transform = `translate(${Math.round(curX)}px, ${Math.round(curY)}px)`;
@@ -0,0 +1,104 @@
+// LOCAL SERVER =========================================================
+// the small HTTP endpoint an installation's screens share through, on the local network:
+//     /reflections  visitors' reflections (see shared/reflections.js), kept in a JSON file
+//     /events       anonymous journey events (see shared/analytics.js), appended as JSON lines
+//
+//     npm run local-server                    http://localhost:8080
+//     PORT=9000 REFLECTIONS=/data/reflections.json EVENTS=/data/events.jsonl npm run local-server
+//
+// then build the site to use it (e.g. in .env.local):
+//     VITE_REFLECTIONS=http://<this machine>:8080/reflections
+//     VITE_ANALYTICS=http://<this machine>:8080/events
+//
+// it keeps nothing about the requests themselves (no addresses, no headers)
+
+import { createServer } from 'node:http';
+import { readFileSync, writeFileSync, appendFileSync } from 'node:fs';
+
+const PORT = parseInt(process.env.PORT, 10) || 8080;
+const REFLECTIONS = process.env.REFLECTIONS || 'reflections.json';
+const EVENTS = process.env.EVENTS || 'events.jsonl';
+
+const MAX_LENGTH = 280;
+const MAX_KEPT = 1000;
+const MAX_BODY = 100000; // bytes
+
+let reflections = [];
+try {
+    reflections = JSON.parse(readFileSync(REFLECTIONS, 'utf8'));
+} catch (error) {
+    console.log(`Starting a new ${REFLECTIONS}`);
+}
+
+function send(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        // the pages are served from elsewhere (vite, or the built site)
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    response.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+// the request's body as JSON, or undefined if it isn't
+function readJSON(request, callback) {
+    let body = '';
+    request.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY) request.destroy();
+    });
+    request.on('end', () => {
+        try {
+            callback(JSON.parse(body));
+        } catch (error) {
+            callback(undefined);
+        }
+    });
+}
+
+function addReflection(request, response) {
+    readJSON(request, reflection => {
+        if (!reflection || typeof reflection.text !== 'string' || !reflection.text.trim()) {
+            return send(response, 400, { error: 'no text' });
+        }
+
+        // only the words, the chapter and the day, as the pages send them
+        reflections.push({
+            text: reflection.text.trim().slice(0, MAX_LENGTH),
+            chapter: typeof reflection.chapter === 'string' ? reflection.chapter : null,
+            date: new Date().toISOString().slice(0, 10)
+        });
+        reflections = reflections.slice(-MAX_KEPT);
+        writeFileSync(REFLECTIONS, JSON.stringify(reflections, null, 2));
+
+        send(response, 201, { ok: true });
+    });
+}
+
+// a batch of events, one JSON line each
+function addEvents(request, response) {
+    readJSON(request, events => {
+        if (!Array.isArray(events)) return send(response, 400, { error: 'not a list of events' });
+
+        const lines = events
+            .filter(event => event && typeof event.type === 'string')
+            .map(event => JSON.stringify(event) + '\n');
+        appendFileSync(EVENTS, lines.join(''));
+
+        send(response, 204);
+    });
+}
+
+createServer((request, response) => {
+    const path = request.url.split('?')[0];
+    if (request.method === 'OPTIONS') return send(response, 204);
+
+    if (path === '/reflections' && request.method === 'GET') return send(response, 200, reflections);
+    if (path === '/reflections' && request.method === 'POST') return addReflection(request, response);
+    if (path === '/events' && request.method === 'POST') return addEvents(request, response);
+
+    send(response, 404, { error: 'not found' });
+}).listen(PORT, () => {
+    console.log(`Reflections at http://localhost:${PORT}/reflections (kept in ${REFLECTIONS})`);
+    console.log(`Events at http://localhost:${PORT}/events (kept in ${EVENTS})`);
+});
@@ -0,0 +1,142 @@
+// ACCESSIBILITY ========================================================
+// reduced motion, screen-reader narration and sound captions for every page
+//
+// - reducedMotion: camera swoops become cuts, rotations stop
+//   (starts from the system's prefers-reduced-motion setting)
+// - captions: describes meaningful sounds on screen (the "caption" of an audio layer)
+// - every step's text is announced through an ARIA live region
+//
+// both settings are toggled from the on-screen controls and kept across pages
+
+import { t } from './i18n.js';
+
+const SETTINGS_KEY = 'blood-child-accessibility';
+
+const systemReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+class AccessibilitySettings extends EventTarget {
+
+    constructor() {
+        super();
+
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+        } catch (error) {
+            console.error('Could not read accessibility settings:', error);
+        }
+
+        this.reducedMotion = saved.reducedMotion ?? systemReducedMotion.matches;
+        this.captions = saved.captions ?? false;
+        this.apply();
+    }
+
+    set(name, value) {
+        this[name] = value;
+
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify({
+                reducedMotion: this.reducedMotion,
+                captions: this.captions
+            }));
+        } catch (error) {
+            console.error('Could not save accessibility settings:', error);
+        }
+
+        this.apply();
+        this.dispatchEvent(new Event('change'));
+    }
+
+    // lets stylesheets switch off CSS animations (.reduced-motion)
+    apply() {
+        document.documentElement.classList.toggle('reduced-motion', this.reducedMotion);
+    }
+}
+
+export const accessibility = new AccessibilitySettings();
+
+// NARRATION ------------------------------------------------------------
+let liveRegion;
+
+function getLiveRegion() {
+    if (!liveRegion) {
+        liveRegion = document.createElement('div');
+        liveRegion.className = 'visually-hidden';
+        liveRegion.setAttribute('aria-live', 'polite');
+        liveRegion.setAttribute('aria-atomic', 'true');
+        document.body.appendChild(liveRegion);
+    }
+    return liveRegion;
+}
+
+export function announce(message) {
+    const region = getLiveRegion();
+    // clear first so repeating the same text is announced again
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 100);
+}
+
+// read the current step's text aloud and hide the other (invisible) texts from screen readers
+export function announceStep(texts, index) {
+    texts.forEach((text, i) => {
+        text.setAttribute('aria-hidden', i === index ? 'false' : 'true');
+    });
+    announce(texts[index].textContent.replace(/\s+/g, ' ').trim());
+}
+
+// CAPTIONS -------------------------------------------------------------
+// show an audio layer's caption while it starts playing
+export function showCaptions(audio, duration = 4000) {
+    const box = document.createElement('div');
+    box.className = 'captions';
+    box.setAttribute('aria-hidden', 'true'); // screen-reader users hear the sound itself
+    document.body.appendChild(box);
+
+    let hideTimeout;
+
+    audio.addEventListener('play', (e) => {
+        const { caption } = e.detail;
+        if (!caption || !accessibility.captions) return;
+
+        box.textContent = caption;
+        box.classList.add('visible');
+        clearTimeout(hideTimeout);
+        hideTimeout = setTimeout(() => box.classList.remove('visible'), duration);
+    });
+
+    accessibility.addEventListener('change', () => {
+        if (!accessibility.captions) box.classList.remove('visible');
+    });
+
+    return box;
+}
+
+// CONTROLS -------------------------------------------------------------
+// toggles for both settings (styled in accessibility.css)
+export function createAccessibilityControls() {
+    const controls = document.createElement('div');
+    controls.className = 'accessibility-controls';
+
+    const toggles = [
+        { name: 'reducedMotion', label: t('ui.reduceMotion', 'reduce motion') },
+        { name: 'captions', label: t('ui.captions', 'captions') }
+    ].map(({ name, label }) => {
+        const button = document.createElement('button');
+        button.className = 'accessibility-toggle';
+        button.textContent = label;
+        button.addEventListener('click', () => accessibility.set(name, !accessibility[name]));
+        controls.appendChild(button);
+        return { name, button };
+    });
+
+    function update() {
+        toggles.forEach(({ name, button }) => button.setAttribute('aria-pressed', accessibility[name]));
+    }
+    accessibility.addEventListener('change', update);
+    update();
+
+    document.body.appendChild(controls);
+    return controls;
+}
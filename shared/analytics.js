@@ -0,0 +1,225 @@
+import { kiosk } from './kiosk.js';
+import { localEndpoint } from './endpoint.js';
+
+// ANALYTICS ============================================================
+// anonymous journey events for exhibit evaluation: where visitors stop, how long
+// they stay on each step and scene, which chapter they choose and where they quit
+//
+// every event is { type, page, journey, time, kiosk, ...details }:
+//     'step-enter'  { step, scene }         'step-exit'  { step, scene, dwell }
+//     'scene-enter' { scene }               'scene-exit' { scene, dwell }
+//     'choice'      { choice, step }        a chapter link followed (data-choice)
+//     'webcam'      { consent }             the visitor's answer on the consent screen, 'granted' or 'declined' (see born/webcam.js)
+//     'complete'    { step }                the page's last step was reached
+//     'quit'        { step, scene }         the page was closed without following a story link
+// dwell is in seconds; journey is a random id kept for one browser session, so a visitor's
+// events can be read in order; nothing else about them (no address, device or text they
+// write) is recorded, and nothing is sent to third parties
+//
+// where events go is chosen with a URL flag, kept in this browser (like ?kiosk):
+//     ?analytics=console                        logged
+//     ?analytics=local                          batched into localStorage ('blood-child-analytics-events')
+//     ?analytics=off
+// off by default; a build can pick another default with VITE_ANALYTICS (e.g. in .env.production),
+// including an endpoint the events are POSTed to in batches, e.g. http://192.168.1.20:8080/events;
+// for a test, ?analytics=http://localhost:8080/events sends this page's events to this machine
+// or this site (never elsewhere, and not kept, see endpoint.js)
+
+const SETTINGS_KEY = 'blood-child-analytics';
+const JOURNEY_KEY = 'blood-child-journey';
+const EVENTS_KEY = 'blood-child-analytics-events';
+
+const FLUSH_INTERVAL = 10000; // ms between two batches
+const MAX_KEPT = 5000; // events kept in localStorage, the oldest are dropped first
+
+// SINKS ----------------------------------------------------------------
+// a sink is any object with send(event) and flush(); flush() is also called as the page is left
+
+class ConsoleSink {
+
+    send(event) {
+        console.log('[analytics]', event);
+    }
+
+    flush() {}
+}
+
+class LocalStorageSink {
+
+    constructor() {
+        this.batch = [];
+    }
+
+    send(event) {
+        this.batch.push(event);
+    }
+
+    flush() {
+        if (this.batch.length === 0) return;
+
+        try {
+            const events = JSON.parse(localStorage.getItem(EVENTS_KEY)) || [];
+            events.push(...this.batch);
+            localStorage.setItem(EVENTS_KEY, JSON.stringify(events.slice(-MAX_KEPT)));
+        } catch (error) {
+            console.error('Could not save analytics:', error);
+        }
+        this.batch = [];
+    }
+}
+
+class HttpSink {
+
+    constructor(url) {
+        this.url = url;
+        this.batch = [];
+    }
+
+    send(event) {
+        this.batch.push(event);
+    }
+
+    flush() {
+        if (this.batch.length === 0) return;
+
+        // keepalive lets the last batch leave with the page;
+        // plain text keeps it a simple request (no CORS preflight)
+        fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify(this.batch),
+            keepalive: true
+        }).catch(error => {
+            console.error('Could not send analytics:', error);
+        });
+        this.batch = [];
+    }
+}
+
+const MODES = ['console', 'local', 'off'];
+
+function pickSink() {
+    const requested = new URLSearchParams(window.location.search).get('analytics');
+
+    if (requested && !MODES.includes(requested)) {
+        const endpoint = localEndpoint(requested);
+        if (endpoint) return new HttpSink(endpoint);
+        console.error('Analytics only go to this machine or this site from the URL:', requested);
+    }
+
+    let setting = null;
+    try {
+        if (MODES.includes(requested)) localStorage.setItem(SETTINGS_KEY, requested);
+        setting = localStorage.getItem(SETTINGS_KEY);
+    } catch (error) {
+        console.error('Could not read analytics settings:', error);
+    }
+    // (an endpoint kept by an earlier version is ignored)
+    if (!MODES.includes(setting)) setting = import.meta.env.VITE_ANALYTICS || 'off';
+
+    if (setting === 'console') return new ConsoleSink();
+    if (setting === 'local') return new LocalStorageSink();
+    if (setting === 'off') return null;
+    return new HttpSink(setting);
+}
+
+function journeyId() {
+    try {
+        let id = sessionStorage.getItem(JOURNEY_KEY);
+        if (!id) {
+            id = Math.random().toString(36).slice(2, 10);
+            sessionStorage.setItem(JOURNEY_KEY, id);
+        }
+        return id;
+    } catch (error) {
+        return null;
+    }
+}
+
+const sink = pickSink();
+const journey = sink ? journeyId() : null;
+let page = null;
+
+if (sink) {
+    setInterval(() => sink.flush(), FLUSH_INTERVAL);
+    window.addEventListener('pagehide', () => sink.flush());
+}
+
+// record one event (nothing happens while analytics are off)
+export function track(type, details = {}) {
+    if (!sink) return;
+
+    sink.send({
+        type,
+        page,
+        journey,
+        time: new Date().toISOString(),
+        kiosk: kiosk.enabled,
+        ...details
+    });
+}
+
+// JOURNEY --------------------------------------------------------------
+// step and scene dwell times, chapter choices, completion and quitting for one page;
+// page: 'landing' | 'born' | 'unborn'; sceneOf(step): the id of the step's scene, if the page has scenes
+export function trackJourney({ page: name, stepNavigator, sceneOf = () => undefined }) {
+    page = name;
+    if (!sink) return;
+
+    let step = stepNavigator.step;
+    let scene = sceneOf(step);
+    let stepStart = performance.now();
+    let sceneStart = stepStart;
+    let completed = false;
+    let followedLink = false;
+
+    const seconds = since => Math.round(performance.now() - since) / 1000;
+
+    function enter(newScene) {
+        if (newScene && scene !== undefined) track('scene-enter', { scene });
+        track('step-enter', { step, scene });
+
+        if (step === stepNavigator.count - 1 && !completed) {
+            completed = true;
+            track('complete', { step });
+        }
+    }
+
+    function exit() {
+        track('step-exit', { step, scene, dwell: seconds(stepStart) });
+    }
+
+    stepNavigator.addEventListener('change', (e) => {
+        exit();
+
+        const nextScene = sceneOf(e.detail.step);
+        const newScene = nextScene !== scene;
+        if (newScene) {
+            if (scene !== undefined) track('scene-exit', { scene, dwell: seconds(sceneStart) });
+            sceneStart = performance.now();
+        }
+
+        step = e.detail.step;
+        scene = nextScene;
+        stepStart = performance.now();
+        enter(newScene);
+    });
+
+    // the story's own links (chapters, home), as in audio.js's fadeOutOnLeave
+    document.addEventListener('click', (e) => {
+        const link = e.target.closest('a.outlined-button');
+        if (!link) return;
+
+        followedLink = true;
+        if (link.dataset.choice) track('choice', { choice: link.dataset.choice, step });
+    });
+
+    window.addEventListener('pagehide', () => {
+        exit();
+        if (scene !== undefined) track('scene-exit', { scene, dwell: seconds(sceneStart) });
+        if (!followedLink) track('quit', { step, scene });
+        sink.flush();
+    });
+
+    enter(true);
+}
@@ -0,0 +1,326 @@
+// AUDIO ================================================================
+// Web Audio engine shared by all pages: named layers (looping beds and
+// one-shot sounds), per-step cues, crossfades and a global mute/volume
+//
+// layers are defined per page, e.g. in a story file:
+//     "audio": {
+//         "bed": "born",
+//         "layers": {
+//             "born": { "src": "/sounds/born.m4a", "loop": true },
+//             "cramp": { "src": "/sounds/cramp.m4a", "volume": 0.8, "caption": "a cramp aches" }
+//         }
+//     }
+//
+// a layer's optional "caption" describes it on screen (see shared/accessibility.js)
+//
+// and a step triggers them with "cues", each either a layer name (play it)
+// or { "layer": name, "volume": 0..1, "fade": seconds } (fade it, 0 stops it)
+
+import { t } from './i18n.js';
+
+const SETTINGS_KEY = 'blood-child-audio';
+
+function loadSettings() {
+    try {
+        return { volume: 1, muted: false, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+    } catch (error) {
+        return { volume: 1, muted: false };
+    }
+}
+
+export class AudioEngine extends EventTarget {
+
+    constructor() {
+        super();
+
+        this.context = new AudioContext();
+        this.layers = new Map();
+        this.bed = null;
+
+        // every layer is summed in the mix (which analysers listen to),
+        // then goes through the master gain (global volume / mute)
+        this.mix = this.context.createGain();
+        this.master = this.context.createGain();
+        this.mix.connect(this.master);
+        this.master.connect(this.context.destination);
+
+        const settings = loadSettings();
+        this.volume = settings.volume;
+        this.muted = settings.muted;
+        this.master.gain.value = this.muted ? 0 : this.volume;
+    }
+
+    get unlocked() {
+        return this.context.state === 'running';
+    }
+
+    // browsers only start audio after a user gesture: the first click, tap or key press unlocks it
+    unlockOnGesture() {
+        const events = ['pointerdown', 'keydown', 'touchend'];
+
+        const unlock = () => {
+            this.context.resume().then(() => {
+                events.forEach(type => window.removeEventListener(type, unlock, true));
+                this.dispatchEvent(new Event('unlock'));
+            }).catch(error => {
+                console.error('Audio playback failed:', error);
+            });
+        };
+
+        events.forEach(type => window.addEventListener(type, unlock, true));
+    }
+
+    // fetch and decode every layer of a page; layers are usable as soon as they are added,
+    // and a fade requested before its sound has loaded starts once it arrives
+    loadLayers(layers) {
+        return Promise.all(Object.entries(layers).map(([name, options]) => this.load(name, options)));
+    }
+
+    load(name, { src, loop = false, volume = 1, caption = null }) {
+        const gain = this.context.createGain();
+        gain.gain.value = 0;
+        gain.connect(this.mix);
+
+        const layer = { name, buffer: null, source: null, gain, loop, volume, caption, target: 0 };
+        this.layers.set(name, layer);
+
+        return fetch(src)
+            .then(response => {
+                if (!response.ok) throw new Error(`${response.status} ${src}`);
+                return response.arrayBuffer();
+            })
+            .then(data => this.context.decodeAudioData(data))
+            .then(buffer => {
+                layer.buffer = buffer;
+                if (layer.target > 0) this.start(layer);
+            })
+            .catch(error => {
+                console.error('Audio loading failed:', error);
+            });
+    }
+
+    start(layer) {
+        if (!layer.buffer) return;
+
+        if (layer.source) layer.source.stop();
+
+        const source = this.context.createBufferSource();
+        source.buffer = layer.buffer;
+        source.loop = layer.loop;
+        source.connect(layer.gain);
+        source.onended = () => {
+            if (layer.source === source) layer.source = null;
+        };
+        source.start();
+        layer.source = source;
+
+        this.dispatchEvent(new CustomEvent('play', { detail: { layer: layer.name, caption: layer.caption } }));
+    }
+
+    // fade a layer to a volume (0..1, relative to the layer's own volume) over some seconds;
+    // fading to 0 stops it, fading a silent layer up starts it
+    fadeTo(name, volume, duration = 1) {
+        const layer = this.layers.get(name);
+        if (!layer) return;
+
+        const now = this.context.currentTime;
+        const gain = layer.gain.gain;
+        const wasSilent = layer.target === 0;
+        layer.target = volume;
+
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(wasSilent ? 0 : gain.value, now);
+        gain.linearRampToValueAtTime(volume * layer.volume, now + duration);
+
+        if (volume > 0 && (wasSilent || !layer.source)) {
+            this.start(layer);
+        } else if (volume === 0 && layer.source) {
+            layer.source.stop(now + duration);
+            layer.source = null;
+        }
+    }
+
+    // play a one-shot layer from the start at its own volume
+    play(name) {
+        const layer = this.layers.get(name);
+        if (!layer) return;
+
+        layer.gain.gain.cancelScheduledValues(this.context.currentTime);
+        layer.gain.gain.value = layer.volume;
+        this.start(layer);
+    }
+
+    // fade the current bed out and another one in
+    crossfade(name, duration = 3) {
+        if (this.bed && this.bed !== name) this.fadeTo(this.bed, 0, duration);
+        this.fadeTo(name, 1, duration);
+        this.bed = name;
+    }
+
+    // fade every layer out, e.g. before leaving the page
+    fadeOutAll(duration = 1) {
+        this.layers.forEach(layer => this.fadeTo(layer.name, 0, duration));
+        this.bed = null;
+    }
+
+    // run a step's cues (see the format at the top of this file)
+    cue(cues = []) {
+        cues.forEach(cue => {
+            if (typeof cue === 'string') {
+                this.play(cue);
+            } else {
+                this.fadeTo(cue.layer, cue.volume ?? 1, cue.fade ?? 1);
+            }
+        });
+    }
+
+    setVolume(volume) {
+        this.volume = volume;
+        this.applyMaster();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyMaster();
+    }
+
+    // global volume and mute are kept across pages
+    applyMaster() {
+        const now = this.context.currentTime;
+        this.master.gain.cancelScheduledValues(now);
+        this.master.gain.setTargetAtTime(this.muted ? 0 : this.volume, now, 0.1);
+
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify({ volume: this.volume, muted: this.muted }));
+        } catch (error) {
+            console.error('Could not save audio settings:', error);
+        }
+
+        this.dispatchEvent(new Event('volumechange'));
+    }
+}
+
+// LEVELS ---------------------------------------------------------------
+// loudness and frequency bands (all 0..1) of everything the engine plays,
+// measured before the master volume so visuals keep reacting when muted;
+// call update() once per frame before reading them
+const BANDS = {
+    bass: [20, 250],
+    mid: [250, 2000],
+    treble: [2000, 16000]
+};
+
+export class AudioLevels {
+
+    constructor(audio, { fftSize = 512, smoothing = 0.8 } = {}) {
+        this.analyser = audio.context.createAnalyser();
+        this.analyser.fftSize = fftSize;
+        this.analyser.smoothingTimeConstant = smoothing;
+        audio.mix.connect(this.analyser);
+
+        this.frequencies = new Uint8Array(this.analyser.frequencyBinCount);
+        this.waveform = new Uint8Array(this.analyser.fftSize);
+        this.binWidth = audio.context.sampleRate / this.analyser.fftSize; // Hz per frequency bin
+
+        this.level = 0;
+        this.bass = 0;
+        this.mid = 0;
+        this.treble = 0;
+    }
+
+    update() {
+        this.analyser.getByteTimeDomainData(this.waveform);
+        this.analyser.getByteFrequencyData(this.frequencies);
+
+        // overall level: RMS of the waveform, scaled up since music rarely peaks
+        let sum = 0;
+        for (let i = 0; i < this.waveform.length; i++) {
+            const sample = (this.waveform[i] - 128) / 128;
+            sum += sample * sample;
+        }
+        this.level = Math.min(1, Math.sqrt(sum / this.waveform.length) * 3);
+
+        for (const band in BANDS) {
+            this[band] = this.bandAverage(...BANDS[band]);
+        }
+    }
+
+    bandAverage(low, high) {
+        const start = Math.max(0, Math.floor(low / this.binWidth));
+        const end = Math.min(this.frequencies.length, Math.ceil(high / this.binWidth));
+        if (end <= start) return 0;
+
+        let sum = 0;
+        for (let i = start; i < end; i++) sum += this.frequencies[i];
+        return sum / ((end - start) * 255);
+    }
+}
+
+// mute button and volume slider (styled in audio.css)
+export function createAudioControls(audio) {
+    const controls = document.createElement('div');
+    controls.className = 'audio-controls';
+
+    const muteButton = document.createElement('button');
+    muteButton.className = 'audio-mute';
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.className = 'audio-volume';
+    slider.min = 0;
+    slider.max = 1;
+    slider.step = 0.05;
+    slider.setAttribute('aria-label', t('ui.volume', 'Volume'));
+
+    function update() {
+        muteButton.textContent = audio.muted || !audio.unlocked ? t('ui.soundOff', 'sound off') : t('ui.soundOn', 'sound on');
+        muteButton.setAttribute('aria-pressed', audio.muted);
+        slider.value = audio.volume;
+    }
+
+    muteButton.addEventListener('click', () => {
+        // the first click only unlocks audio (see unlockOnGesture)
+        if (audio.unlocked) audio.setMuted(!audio.muted);
+    });
+    slider.addEventListener('input', () => {
+        audio.setVolume(parseFloat(slider.value));
+        if (audio.muted) audio.setMuted(false);
+    });
+    audio.addEventListener('volumechange', update);
+    audio.addEventListener('unlock', update);
+    update();
+
+    controls.appendChild(muteButton);
+    controls.appendChild(slider);
+    document.body.appendChild(controls);
+
+    return controls;
+}
+
+// fade the page's sound out before following a link to another page,
+// so one chapter's bed gives way to the next instead of cutting off
+export function fadeOutOnLeave(audio, duration = 1) {
+    document.addEventListener('click', (e) => {
+        const link = e.target.closest('a.outlined-button');
+        if (!link || !audio.unlocked || audio.muted) return;
+
+        e.preventDefault();
+        audio.fadeOutAll(duration);
+        setTimeout(() => {
+            window.location.href = link.href;
+        }, duration * 1000);
+    });
+}
+
+// everything a page needs: load its layers, start its bed, wait for the unlock gesture
+export function createPageAudio({ bed, layers }) {
+    const audio = new AudioEngine();
+    audio.loadLayers(layers);
+    audio.crossfade(bed);
+    audio.unlockOnGesture();
+
+    createAudioControls(audio);
+    fadeOutOnLeave(audio);
+
+    return audio;
+}
@@ -0,0 +1,120 @@
+import * as THREE from 'three';
+import Stats from 'three/addons/libs/stats.module.js';
+import { GUI } from 'three/addons/libs/lil-gui.module.min.js';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+
+// AUTHORING ============================================================
+// developer panel for tuning the story live, turned on with ?author:
+// Stats, the current step's parameters, a free camera whose pose can be
+// captured into the step, and export / load of the edited story file
+//
+// each page builds its own panel from these helpers (setupGui in born.js and unborn.js);
+// edits change the story objects in place, so exporting gives back a story.json
+
+export const authoring = new URLSearchParams(window.location.search).has('author');
+
+// the panel and a frame time meter
+export function createAuthoringPanel(title) {
+    const gui = new GUI({ title });
+
+    // scrolling the panel must not change the step
+    gui.domElement.addEventListener('wheel', (e) => e.stopPropagation());
+
+    const stats = new Stats();
+    stats.dom.style.left = 'auto';
+    stats.dom.style.right = '260px';
+    document.body.appendChild(stats.dom);
+
+    return { gui, stats };
+}
+
+export function round(value, digits = 3) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// the camera's position and rotation, in the story's format
+export function capturePose(camera) {
+    return {
+        position: {
+            x: round(camera.position.x, 1),
+            y: round(camera.position.y, 1),
+            z: round(camera.position.z, 1)
+        },
+        rotation: {
+            x: round(camera.rotation.x),
+            y: round(camera.rotation.y),
+            z: round(camera.rotation.z)
+        }
+    };
+}
+
+// orbit freely around the point in front of the camera, to frame a shot before capturing it
+export function createFreeCamera(camera, domElement) {
+    const controls = new OrbitControls(camera, domElement);
+    controls.enabled = false;
+
+    return {
+        controls,
+        set enabled(enabled) {
+            if (enabled) {
+                const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
+                controls.target.copy(camera.position).addScaledVector(forward, 200);
+                controls.update();
+            }
+            controls.enabled = enabled;
+        },
+        get enabled() {
+            return controls.enabled;
+        }
+    };
+}
+
+// add a control for each default value; the step's own value is shown when it has one,
+// and an edit is written into target[key] (created on the first edit)
+export function addFields(folder, target, key, defaults, ranges, onEdit) {
+    const values = { ...defaults, ...target[key] };
+
+    for (const name in defaults) {
+        const controller = typeof defaults[name] === 'number'
+            ? folder.add(values, name, ...(ranges[name] || []))
+            : folder.add(values, name);
+
+        controller.onChange((value) => {
+            target[key] = { ...target[key], [name]: value };
+            onEdit();
+        });
+    }
+}
+
+// save the edited story (and copy it, to paste back into the file)
+export function exportJSON(data, filename) {
+    const json = JSON.stringify(data, null, 2);
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(json).catch(error => {
+            console.error('Could not copy the story:', error);
+        });
+    }
+}
+
+// ask for a story file to load
+export function pickJSON() {
+    return new Promise((resolve, reject) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (!file) return;
+            file.text().then(text => resolve(JSON.parse(text))).catch(reject);
+        });
+        input.click();
+    });
+}
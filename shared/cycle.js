@@ -0,0 +1,59 @@
+// CYCLE ================================================================
+// remembers the visitor's born/unborn choices across visits (localStorage)
+// so every pass through the infinite loop can differ from the last
+
+const STORAGE_KEY = 'blood-child-cycle';
+
+function load() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (saved && Array.isArray(saved.choices)) return saved;
+    } catch (error) {
+        console.error('Could not read cycle:', error);
+    }
+    return { choices: [] };
+}
+
+function save(state) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.error('Could not save cycle:', error);
+    }
+}
+
+// the sequence of chapters chosen so far, e.g. ['born', 'unborn', 'born']
+export function getChoices() {
+    return load().choices;
+}
+
+// how many passes came before the current one (0 on the first journey)
+export function getCycle() {
+    return Math.max(0, getChoices().length - 1);
+}
+
+export function recordChoice(chapter) {
+    const state = load();
+    state.choices.push(chapter);
+    save(state);
+}
+
+export function resetCycle() {
+    save({ choices: [] });
+}
+
+// record a choice whenever a link marked with data-choice="born|unborn" is followed
+export function trackChoices() {
+    document.addEventListener('click', (e) => {
+        const link = e.target.closest('[data-choice]');
+        if (link) recordChoice(link.dataset.choice);
+    });
+}
+
+// a step may list alternative texts for later passes in "cycleText";
+// the last one keeps repeating once the list runs out
+export function textForCycle(step, cycle) {
+    if (cycle === 0 || !step.cycleText) return step;
+    const variants = step.cycleText;
+    return { ...step, text: variants[Math.min(cycle, variants.length) - 1] };
+}
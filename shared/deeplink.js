@@ -0,0 +1,37 @@
+// DEEP LINKS ===========================================================
+// keeps the current step in the URL hash (e.g. born/index.html#step=7)
+// so any moment of the journey can be opened and shared directly
+
+export function readHash() {
+    return Object.fromEntries(new URLSearchParams(window.location.hash.slice(1)));
+}
+
+// replace (not push) the hash so the back button still leaves the page
+export function writeHash(params) {
+    const hash = new URLSearchParams(params).toString();
+    history.replaceState(null, '', `${window.location.pathname}${window.location.search}#${hash}`);
+}
+
+// by default a step is stored as #step=N
+const defaultLink = {
+    encode: (step) => ({ step }),
+    decode: (params) => parseInt(params.step, 10)
+};
+
+// the step named in the URL, or the fallback if there is none or it is out of range
+export function stepFromHash(count, { decode } = defaultLink, fallback = 0) {
+    const step = decode(readHash());
+    return Number.isInteger(step) && step >= 0 && step < count ? step : fallback;
+}
+
+// write every step change into the URL, and follow the URL when it is edited by hand
+export function linkToHash(stepNavigator, { encode, decode } = defaultLink) {
+    stepNavigator.addEventListener('change', (e) => {
+        writeHash(encode(e.detail.step));
+    });
+
+    window.addEventListener('hashchange', () => {
+        const step = stepFromHash(stepNavigator.count, { decode }, stepNavigator.step);
+        stepNavigator.goTo(step, { force: true });
+    });
+}
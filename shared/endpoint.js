@@ -0,0 +1,21 @@
+// ENDPOINTS ============================================================
+// the HTTP endpoints an installation points the pages at (reflections, analytics)
+// may only come from the URL when they stay on this machine or this site, so a
+// shared link can't send what visitors do or write anywhere else; any other host
+// has to be chosen when the site is built (VITE_REFLECTIONS, VITE_ANALYTICS)
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// the endpoint as an absolute URL if it is on this machine or this site, else null
+export function localEndpoint(value) {
+    let url;
+    try {
+        url = new URL(value, window.location.href);
+    } catch (error) {
+        return null;
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    if (url.origin !== window.location.origin && !LOCAL_HOSTS.includes(url.hostname)) return null;
+    return url.href;
+}
@@ -0,0 +1,157 @@
+import es from './locales/es.json';
+import ar from './locales/ar.json';
+
+// LANGUAGES ============================================================
+// English is written where it is used: the pages' HTML, the chapters'
+// story.json files and the labels in code. Each bundle in shared/locales
+// translates it, and anything a bundle leaves out stays in English:
+//     "ui"      control labels, looked up with t('ui.next', 'Next')
+//     "landing" the landing page and its About, by the pages' data-i18n keys
+//     "born" / "unborn" the chapter's story.json, mirrored (see localize)
+//
+// the language comes from ?lang=, then the visitor's last choice, then the browser;
+// it is kept across pages and picked with createLanguageSwitcher()
+
+export const LANGUAGES = {
+    en: { name: 'English', dir: 'ltr' },
+    es: { name: 'Español', dir: 'ltr', bundle: es },
+    ar: { name: 'العربية', dir: 'rtl', bundle: ar }
+};
+
+const STORAGE_KEY = 'blood-child-language';
+
+function storedLanguage() {
+    try {
+        return localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+function storeLanguage(code) {
+    try {
+        localStorage.setItem(STORAGE_KEY, code);
+    } catch (error) {
+        console.error('Could not save the language:', error);
+    }
+}
+
+function pickLanguage() {
+    const requested = new URLSearchParams(window.location.search).get('lang');
+    if (Object.hasOwn(LANGUAGES, requested)) {
+        storeLanguage(requested);
+        return requested;
+    }
+
+    const stored = storedLanguage();
+    if (Object.hasOwn(LANGUAGES, stored)) return stored;
+
+    // 'es-MX' → 'es'
+    const browser = (navigator.languages || [navigator.language])
+        .map(code => code && code.split('-')[0])
+        .find(code => Object.hasOwn(LANGUAGES, code));
+    return browser || 'en';
+}
+
+export const language = pickLanguage();
+const bundle = LANGUAGES[language].bundle || {};
+
+// text direction and language for the whole page (styles use start / end, so they follow)
+document.documentElement.lang = language;
+document.documentElement.dir = LANGUAGES[language].dir;
+
+// switch and reload: every page builds its texts once, at load
+export function setLanguage(code) {
+    if (!Object.hasOwn(LANGUAGES, code) || code === language) return;
+    storeLanguage(code);
+
+    const url = new URL(window.location.href);
+    url.searchParams.delete('lang');
+    window.location.replace(url);
+}
+
+// a string in the current language: key is its path in the bundle
+export function t(key, english) {
+    const value = key.split('.').reduce((node, part) => node && node[part], bundle);
+    return typeof value === 'string' ? value : english;
+}
+
+// STORIES --------------------------------------------------------------
+// a translation mirrors the story file, but only with what it translates, e.g.
+//     { "steps": [ { "text": "...", "buttons": [ { "label": "..." } ] } ] }
+// - objects are merged key by key, lists item by item (null or {} keeps the English item)
+// - a string in place of a span or hotspot keeps its class and style, and only changes its text
+// - a text given as a list of spans replaces the whole text, so a language can
+//   break its lines differently (each span still inherits the style at its index)
+export function localize(source, translation) {
+    if (translation === undefined || translation === null) return source;
+
+    if (typeof translation === 'string') {
+        const isSpan = source && typeof source === 'object' && !Array.isArray(source);
+        return isSpan ? { ...source, text: translation } : translation;
+    }
+
+    if (Array.isArray(translation)) {
+        if (!Array.isArray(source)) return translation;
+        return source.map((item, i) => localize(item, translation[i]));
+    }
+
+    if (!source || typeof source !== 'object') return translation;
+
+    const localized = { ...source };
+    for (const key in translation) {
+        localized[key] = key === 'text' ? localizeText(source.text, translation.text) : localize(source[key], translation[key]);
+    }
+    return localized;
+}
+
+function localizeText(source, translation) {
+    if (!Array.isArray(translation)) return localize(source, translation);
+    return translation.map((part, i) => localize(Array.isArray(source) ? source[i] : undefined, part));
+}
+
+// the chapter's story in the current language ('born' or 'unborn')
+export function localizeStory(story, chapter) {
+    return localize(story, bundle[chapter]);
+}
+
+// PAGES ----------------------------------------------------------------
+// elements marked data-i18n="landing.text1" get the bundle's text (\n for line breaks);
+// data-i18n-html is for the bundle's own markup (<i>, links)
+export function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        const text = t(el.dataset.i18n, null);
+        if (text === null) return;
+
+        el.textContent = '';
+        text.split('\n').forEach((line, i) => {
+            if (i > 0) el.appendChild(document.createElement('br'));
+            el.appendChild(document.createTextNode(line));
+        });
+    });
+
+    root.querySelectorAll('[data-i18n-html]').forEach(el => {
+        const html = t(el.dataset.i18nHtml, null);
+        if (html !== null) el.innerHTML = html;
+    });
+}
+
+// language menu (styled in i18n.css)
+export function createLanguageSwitcher() {
+    const select = document.createElement('select');
+    select.className = 'language-switcher';
+    select.setAttribute('aria-label', t('ui.language', 'Language'));
+
+    for (const code in LANGUAGES) {
+        const option = document.createElement('option');
+        option.value = code;
+        option.lang = code;
+        option.textContent = LANGUAGES[code].name;
+        select.appendChild(option);
+    }
+    select.value = language;
+    select.addEventListener('change', () => setLanguage(select.value));
+
+    document.body.appendChild(select);
+    return select;
+}
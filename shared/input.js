@@ -0,0 +1,120 @@
+// INPUT ================================================================
+// connects user input to a StepNavigator (see navigator.js)
+
+import { WheelAdaptor, SwipeAdaptor } from 'three-story-controls';
+import { t } from './i18n.js';
+
+// mouse wheel / trackpad: one step per swipe
+export function connectWheel(stepNavigator) {
+    const wheelAdaptor = new WheelAdaptor({ type: 'discrete' });
+    wheelAdaptor.connect();
+
+    wheelAdaptor.addEventListener('trigger', (e) => {
+        if (e.y > 0) {
+            stepNavigator.next();
+        } else if (e.y < 0) {
+            stepNavigator.prev();
+        }
+    });
+
+    return wheelAdaptor;
+}
+
+// dialogs over the story: the About modal, the reflection prompt and the webcam consent screen
+const DIALOGS = '.modal, .reflection-prompt, .webcam-consent';
+
+// touch screens: swipe up or left to go forward, down or right to go back
+// (swipes that start in a dialog stay there instead of stepping the story behind it)
+export function connectSwipe(stepNavigator) {
+    let inDialog = false;
+    document.body.addEventListener('pointerdown', (e) => {
+        inDialog = Boolean(e.target.closest && e.target.closest(DIALOGS));
+    }, { capture: true, passive: true });
+
+    const swipeAdaptor = new SwipeAdaptor();
+    swipeAdaptor.connect();
+
+    swipeAdaptor.addEventListener('trigger', (e) => {
+        if (inDialog) return;
+
+        if (e.y > 0 || e.x < 0) {
+            stepNavigator.next();
+        } else if (e.y < 0 || e.x > 0) {
+            stepNavigator.prev();
+        }
+    });
+
+    return swipeAdaptor;
+}
+
+// keyboard: arrows, PageUp/PageDown and Space
+const KEYS = {
+    next: ['ArrowDown', 'ArrowRight', 'PageDown', ' '],
+    prev: ['ArrowUp', 'ArrowLeft', 'PageUp']
+};
+
+// keys typed into a field (e.g. the authoring panel), or Space / Enter on a focused
+// button or link, work that control instead of moving the story on
+const CONTROLS = 'input, textarea, select, button, a[href], [contenteditable]';
+
+// a listener of our own rather than three-story-controls' KeyboardAdaptor, which cancels
+// every mapped key before it can tell whether a control has the focus (Space wouldn't press buttons);
+// here a key's default action is only cancelled when it steps the story
+export function connectKeyboard(stepNavigator) {
+    function onKeyDown(e) {
+        if (e.repeat || e.altKey || e.ctrlKey || e.metaKey) return;
+        if (document.activeElement && document.activeElement.matches(CONTROLS)) return;
+
+        if (KEYS.next.includes(e.key)) {
+            e.preventDefault();
+            stepNavigator.next();
+        } else if (KEYS.prev.includes(e.key)) {
+            e.preventDefault();
+            stepNavigator.prev();
+        }
+    }
+    document.addEventListener('keydown', onKeyDown);
+
+    return onKeyDown;
+}
+
+// on-screen previous / next buttons (styled in navigation.css)
+export function createStepButtons(stepNavigator) {
+    const nav = document.createElement('nav');
+    nav.className = 'step-nav';
+    nav.setAttribute('aria-label', t('ui.storyNavigation', 'Story navigation'));
+
+    const prevButton = document.createElement('button');
+    prevButton.className = 'step-nav-button';
+    prevButton.setAttribute('aria-label', t('ui.previous', 'Previous'));
+    prevButton.textContent = '↑';
+    prevButton.addEventListener('click', () => stepNavigator.prev());
+
+    const nextButton = document.createElement('button');
+    nextButton.className = 'step-nav-button';
+    nextButton.setAttribute('aria-label', t('ui.next', 'Next'));
+    nextButton.textContent = '↓';
+    nextButton.addEventListener('click', () => stepNavigator.next());
+
+    nav.appendChild(prevButton);
+    nav.appendChild(nextButton);
+    document.body.appendChild(nav);
+
+    // disable the buttons at either end of the story
+    function updateButtons() {
+        prevButton.disabled = stepNavigator.step === 0;
+        nextButton.disabled = stepNavigator.step === stepNavigator.count - 1;
+    }
+    updateButtons();
+    stepNavigator.addEventListener('change', updateButtons);
+
+    return nav;
+}
+
+// every way of moving through the story at once
+export function connectInputs(stepNavigator) {
+    connectWheel(stepNavigator);
+    connectSwipe(stepNavigator);
+    connectKeyboard(stepNavigator);
+    createStepButtons(stepNavigator);
+}
@@ -0,0 +1,98 @@
+import { getChoices, resetCycle } from './cycle.js';
+
+// KIOSK ================================================================
+// unattended mode for gallery installations: a timer walks through the steps,
+// picks a chapter at every branch and loops forever
+//
+// turned on with a URL flag and kept for the rest of the browser session:
+//     ?kiosk            8 seconds per step, back to the landing page after 60 idle seconds
+//     ?kiosk=12&idle=90 12 seconds per step, 90 idle seconds
+//     ?kiosk=off        turn it off again
+//
+// any real input (scroll, swipe, key, click) hands control to the visitor;
+// once they have left it alone for the idle time, the piece starts over from the landing page
+
+const SETTINGS_KEY = 'blood-child-kiosk';
+
+const INPUT_EVENTS = ['wheel', 'touchstart', 'keydown', 'pointerdown'];
+
+function loadSettings() {
+    const params = new URLSearchParams(window.location.search);
+
+    if (params.has('kiosk')) {
+        const flag = params.get('kiosk');
+        if (flag === 'off') {
+            sessionStorage.removeItem(SETTINGS_KEY);
+        } else {
+            sessionStorage.setItem(SETTINGS_KEY, JSON.stringify({
+                interval: parseFloat(flag) || 8,
+                idle: parseFloat(params.get('idle')) || 60
+            }));
+        }
+    }
+
+    try {
+        const saved = JSON.parse(sessionStorage.getItem(SETTINGS_KEY));
+        if (saved) return { enabled: true, ...saved };
+    } catch (error) {
+        console.error('Could not read kiosk settings:', error);
+    }
+    return { enabled: false, interval: 8, idle: 60 };
+}
+
+export const kiosk = loadSettings();
+
+// follow one of the page's chapter links, avoiding the chapter shown last time
+function chooseChapter() {
+    const links = [...document.querySelectorAll('a[data-choice]')];
+    if (links.length === 0) return;
+
+    const last = getChoices().at(-1);
+    const link = links.find(link => link.dataset.choice !== last) || links[0];
+    link.click();
+}
+
+// start over as a new visitor
+function resetToLanding() {
+    resetCycle();
+    window.location.href = import.meta.env.BASE_URL;
+}
+
+// advance a page's steps on the timer (does nothing unless kiosk mode is on)
+export function runKiosk(stepNavigator) {
+    if (!kiosk.enabled) return;
+
+    let stepTimeout;
+    let idleTimeout;
+    let attended = false;
+
+    function schedule(delay = kiosk.interval * 1000) {
+        clearTimeout(stepTimeout);
+        if (!attended) stepTimeout = setTimeout(advance, delay);
+    }
+
+    function advance() {
+        if (stepNavigator.step === stepNavigator.count - 1) {
+            chooseChapter();
+        } else if (!stepNavigator.next()) {
+            // still locked or cooling down: try again shortly
+            schedule(500);
+        }
+    }
+
+    // every step gets the full interval, however it was reached
+    stepNavigator.addEventListener('change', () => schedule());
+
+    // the visitor takes over: stop the timer and wait for them to leave
+    function takeOver(e) {
+        if (!e.isTrusted) return;
+
+        attended = true;
+        clearTimeout(stepTimeout);
+        clearTimeout(idleTimeout);
+        idleTimeout = setTimeout(resetToLanding, kiosk.idle * 1000);
+    }
+    INPUT_EVENTS.forEach(type => window.addEventListener(type, takeOver, { capture: true, passive: true }));
+
+    schedule();
+}
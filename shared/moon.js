@@ -0,0 +1,53 @@
+// MOON =================================================================
+// the moon's phase on the visitor's date, worked out here (no network),
+// so the visuals can follow the monthly cycle the piece is built around:
+//
+//     moon.phase         0..1 through the lunar month (0 new, 0.25 first quarter, 0.5 full, 0.75 last quarter)
+//     moon.illumination  0..1, how much of the disc is lit (0 new, 1 full)
+//     moon.name          'new' | 'waxing crescent' | 'first quarter' | ... | 'waning crescent'
+//
+// each page decides what it changes (born.js, unborn.js, main.js);
+// curators can preview any phase from the URL (not kept):
+//     ?moon=0.5          a phase
+//     ?moon=full         new, first (quarter), full or last (quarter)
+//     ?moon=2026-12-24   the moon on another date
+
+const SYNODIC_MONTH = 29.530588853; // days from one new moon to the next
+const KNOWN_NEW_MOON = Date.UTC(2000, 0, 6, 18, 14);
+const DAY = 24 * 60 * 60 * 1000;
+
+const NAMED_PHASES = { new: 0, first: 0.25, full: 0.5, last: 0.75 };
+
+const NAMES = ['new', 'waxing crescent', 'first quarter', 'waxing gibbous', 'full', 'waning gibbous', 'last quarter', 'waning crescent'];
+
+// 0..1 through the lunar month on a date (accurate to within a day or so, plenty for this)
+export function phaseOn(date) {
+    const months = (date.getTime() - KNOWN_NEW_MOON) / DAY / SYNODIC_MONTH;
+    return months - Math.floor(months);
+}
+
+function pickPhase() {
+    const requested = new URLSearchParams(window.location.search).get('moon');
+
+    if (requested !== null) {
+        if (Object.hasOwn(NAMED_PHASES, requested)) return NAMED_PHASES[requested];
+
+        const phase = Number(requested);
+        if (requested.trim() !== '' && phase >= 0 && phase <= 1) return phase % 1;
+
+        const date = new Date(requested);
+        if (!isNaN(date)) return phaseOn(date);
+
+        console.error('Unknown moon phase:', requested);
+    }
+
+    return phaseOn(new Date());
+}
+
+const phase = pickPhase();
+
+export const moon = {
+    phase,
+    illumination: (1 - Math.cos(phase * 2 * Math.PI)) / 2,
+    name: NAMES[Math.round(phase * 8) % 8]
+};
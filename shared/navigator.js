@@ -0,0 +1,88 @@
+// STEP NAVIGATOR =======================================================
+// one step counter for every page: inputs call next/prev/goTo,
+// pages listen for 'change' events and animate to the new step
+//
+// stepNavigator.addEventListener('change', (e) => {
+//     const { step, previous, direction } = e.detail;
+// });
+
+export class StepNavigator extends EventTarget {
+
+    constructor({ count, start = 0, cooldown = 1000 }) {
+        super();
+
+        this.count = count;
+        this.step = start;
+        this.cooldown = cooldown; // ms between two step changes
+        this.holds = new Set(); // what keeps the story on this step, see lock()
+        this.transition = null; // the tween the 'transition' lock waits for, see lockDuring()
+
+        this.lastChange = 0;
+    }
+
+    get locked() {
+        return this.holds.size > 0;
+    }
+
+    next() {
+        return this.goTo(this.step + 1);
+    }
+
+    prev() {
+        return this.goTo(this.step - 1);
+    }
+
+    // returns false if the change was refused (out of range, locked or cooling down);
+    // pass { force: true } from code to skip the lock and cooldown checks
+    goTo(step, { force = false } = {}) {
+        if (step < 0 || step >= this.count || step === this.step) return false;
+
+        if (!force) {
+            if (this.locked) return false;
+            if (performance.now() - this.lastChange < this.cooldown) return false;
+        }
+
+        const previous = this.step;
+        this.step = step;
+        this.lastChange = performance.now();
+
+        this.dispatchEvent(new CustomEvent('change', {
+            detail: {
+                step,
+                previous,
+                direction: Math.sign(step - previous)
+            }
+        }));
+
+        return true;
+    }
+
+    // lock while a transition runs (or a dialog is open) so inputs can't skip over it;
+    // each reason is released on its own, so the end of a transition leaves an open dialog locked
+    lock(reason = 'default') {
+        this.holds.add(reason);
+    }
+
+    unlock(reason = 'default') {
+        this.holds.delete(reason);
+    }
+
+    // locked until a step's main tween (gsap) ends, completed or cut short;
+    // a newer transition takes the lock over, so only the latest one releases it
+    lockDuring(tween) {
+        this.transition = tween;
+
+        const release = () => {
+            if (this.transition !== tween) return;
+            this.transition = null;
+            this.unlock('transition');
+        };
+
+        // a move without duration (immediate, or reduced motion) is already over
+        if (tween.duration() === 0) return release();
+
+        this.lock('transition');
+        tween.eventCallback('onComplete', release);
+        tween.eventCallback('onInterrupt', release);
+    }
+}
@@ -0,0 +1,153 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import gsap from 'gsap';
+
+// POST-PROCESSING ======================================================
+// the post effects stack of both chapters: bloom, then one pass for
+// chromatic aberration, blood color grade, vignette and film grain
+//
+// every intensity is tweenable and set from the story files
+// ("post" on a born step or an unborn scene), e.g.
+//     "post": { "bloom": 0.6, "grain": 0.3, "vignette": 0.5, "aberration": 0.2, "grade": 0.4 }
+// anything left out goes back to postDefaults
+
+export const postDefaults = {
+    bloom: 0,             // bloom strength (0 = off)
+    bloomRadius: 0.4,
+    bloomThreshold: 0.85, // brightness above which things glow
+    grain: 0,             // film grain
+    vignette: 0,          // darkened edges
+    aberration: 0,        // red / blue fringes toward the edges
+    grade: 0              // 0 = original colors, 1 = fully graded toward blood
+};
+
+const BloodGradeShader = {
+
+    name: 'BloodGradeShader',
+
+    uniforms: {
+        tDiffuse: { value: null },
+        time: { value: 0 },
+        tint: { value: new THREE.Color(0x8a0303) },
+        grain: { value: 0 },
+        vignette: { value: 0 },
+        aberration: { value: 0 },
+        grade: { value: 0 }
+    },
+
+    vertexShader: /* glsl */`
+        varying vec2 vUv;
+
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+        }
+    `,
+
+    fragmentShader: /* glsl */`
+        uniform sampler2D tDiffuse;
+        uniform float time;
+        uniform vec3 tint;
+        uniform float grain;
+        uniform float vignette;
+        uniform float aberration;
+        uniform float grade;
+
+        varying vec2 vUv;
+
+        float random( vec2 p ) {
+            return fract( sin( dot( p, vec2( 12.9898, 78.233 ) ) ) * 43758.5453 );
+        }
+
+        void main() {
+            // chromatic aberration: red and blue drift apart from the center outward
+            vec2 offset = ( vUv - 0.5 ) * aberration * 0.02;
+            vec4 texel = texture2D( tDiffuse, vUv );
+            vec3 color = vec3(
+                texture2D( tDiffuse, vUv + offset ).r,
+                texel.g,
+                texture2D( tDiffuse, vUv - offset ).b
+            );
+
+            // color grade: shadows sink into clotted red, highlights stay pale
+            float luma = dot( color, vec3( 0.299, 0.587, 0.114 ) );
+            vec3 graded = mix( tint * luma * 1.5, vec3( 1.0, 0.8, 0.75 ) * luma, smoothstep( 0.4, 1.0, luma ) );
+            color = mix( color, graded, grade );
+
+            // vignette
+            float edge = smoothstep( 0.8, 0.2, length( vUv - 0.5 ) * 1.2 );
+            color *= mix( 1.0, edge, vignette );
+
+            // film grain
+            color += ( random( vUv + fract( time ) ) - 0.5 ) * grain * 0.25;
+
+            gl_FragColor = vec4( color, texel.a );
+
+            #ifdef CONVERT_COLOR_SPACE
+            #include <colorspace_fragment>
+            #endif
+        }
+    `
+};
+
+export class PostProcessing {
+
+    // convertColorSpace: convert to the renderer's output color space at the end,
+    // as renderer.render does (unborn was tuned without it)
+    constructor(renderer, scene, camera, { convertColorSpace = true } = {}) {
+        const size = renderer.getSize(new THREE.Vector2());
+
+        this.params = { ...postDefaults };
+        this.bloomEnabled = true; // switched off on low quality (see shared/quality.js)
+
+        this.composer = new EffectComposer(renderer);
+        this.composer.addPass(new RenderPass(scene, camera));
+
+        this.bloomPass = new UnrealBloomPass(size, postDefaults.bloom, postDefaults.bloomRadius, postDefaults.bloomThreshold);
+        this.composer.addPass(this.bloomPass);
+
+        this.gradePass = new ShaderPass(BloodGradeShader);
+        if (convertColorSpace) this.gradePass.material.defines.CONVERT_COLOR_SPACE = '';
+        this.composer.addPass(this.gradePass);
+    }
+
+    // tween to a step's or scene's intensities (duration in seconds, 0 = right away)
+    to(params = {}, duration = 2) {
+        gsap.killTweensOf(this.params);
+        return gsap.to(this.params, {
+            ...postDefaults,
+            ...params,
+            duration,
+            ease: "power2.inOut"
+        });
+    }
+
+    render(time) {
+        const { params, bloomPass, gradePass } = this;
+
+        bloomPass.enabled = this.bloomEnabled && params.bloom > 0;
+        bloomPass.strength = params.bloom;
+        bloomPass.radius = params.bloomRadius;
+        bloomPass.threshold = params.bloomThreshold;
+
+        const uniforms = gradePass.uniforms;
+        uniforms.time.value = time;
+        uniforms.grain.value = params.grain;
+        uniforms.vignette.value = params.vignette;
+        uniforms.aberration.value = params.aberration;
+        uniforms.grade.value = params.grade;
+
+        this.composer.render();
+    }
+
+    setSize(width, height) {
+        this.composer.setSize(width, height);
+    }
+
+    setPixelRatio(pixelRatio) {
+        this.composer.setPixelRatio(pixelRatio);
+    }
+}
@@ -0,0 +1,150 @@
+// QUALITY ==============================================================
+// picks a quality tier ('low' | 'medium' | 'high') from the measured frame time,
+// stepping down when frames are slow and back up once they are comfortably fast
+//
+// each page decides what a tier means (resolution, particles, bloom...) and
+// applies it on 'change':
+//
+//     const quality = new QualityManager();
+//     quality.addEventListener('change', (e) => applyQuality(e.detail.tier));
+//     // in the render loop:
+//     quality.frame();
+//
+// the visitor can fix a tier instead of 'auto' with the on-screen control or ?quality=low|medium|high;
+// settings that only apply when the renderer is created (antialias) use the tier of the last page
+
+import { t } from './i18n.js';
+
+export const TIERS = ['low', 'medium', 'high'];
+
+const SETTINGS_KEY = 'blood-child-quality';
+
+function loadSettings() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    } catch (error) {
+        console.error('Could not read quality settings:', error);
+    }
+
+    const requested = new URLSearchParams(window.location.search).get('quality');
+    const mode = requested === 'auto' || TIERS.includes(requested) ? requested : saved.mode;
+
+    return {
+        mode: mode || 'auto',
+        measured: TIERS.includes(saved.measured) ? saved.measured : 'high'
+    };
+}
+
+export class QualityManager extends EventTarget {
+
+    // sampleTime: ms of frames averaged per decision
+    // slowFrame / fastFrame: average frame times (ms) that step the tier down / up
+    // upgradeDelay: ms of fast frames needed before stepping up
+    constructor({ sampleTime = 2000, slowFrame = 40, fastFrame = 22, upgradeDelay = 10000 } = {}) {
+        super();
+
+        this.sampleTime = sampleTime;
+        this.slowFrame = slowFrame;
+        this.fastFrame = fastFrame;
+        this.upgradeDelay = upgradeDelay;
+
+        const settings = loadSettings();
+        this.mode = settings.mode;
+        this.measured = settings.measured; // the tier auto mode settled on
+        this.tier = this.mode === 'auto' ? this.measured : this.mode;
+
+        this.lastFrame = 0;
+        this.resetSamples();
+    }
+
+    resetSamples() {
+        this.sampleStart = performance.now();
+        this.frameTotal = 0;
+        this.frameCount = 0;
+        this.fastSince = null;
+    }
+
+    // call once per rendered frame
+    frame() {
+        const now = performance.now();
+        const frameTime = now - this.lastFrame;
+        this.lastFrame = now;
+
+        // skip gaps (hidden tab, first frame) and manual tiers
+        if (this.mode !== 'auto' || frameTime > 250) return;
+
+        this.frameTotal += frameTime;
+        this.frameCount++;
+
+        if (now - this.sampleStart < this.sampleTime) return;
+
+        const average = this.frameTotal / this.frameCount;
+        const index = TIERS.indexOf(this.tier);
+
+        this.sampleStart = now;
+        this.frameTotal = 0;
+        this.frameCount = 0;
+
+        if (average > this.slowFrame && index > 0) {
+            this.setTier(TIERS[index - 1]);
+        } else if (average < this.fastFrame && index < TIERS.length - 1) {
+            this.fastSince ??= now - this.sampleTime;
+            if (now - this.fastSince >= this.upgradeDelay) this.setTier(TIERS[index + 1]);
+        } else {
+            this.fastSince = null;
+        }
+    }
+
+    setTier(tier) {
+        if (tier === this.tier) return;
+
+        this.tier = tier;
+        if (this.mode === 'auto') this.measured = tier;
+        this.save();
+        this.resetSamples();
+
+        this.dispatchEvent(new CustomEvent('change', { detail: { tier } }));
+    }
+
+    // 'auto' or a fixed tier
+    setMode(mode) {
+        this.mode = mode;
+        this.save();
+        this.setTier(mode === 'auto' ? this.measured : mode);
+        this.dispatchEvent(new Event('modechange'));
+    }
+
+    save() {
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify({ mode: this.mode, measured: this.measured }));
+        } catch (error) {
+            console.error('Could not save quality settings:', error);
+        }
+    }
+}
+
+// button cycling auto → low → medium → high (styled in quality.css)
+export function createQualityControl(quality) {
+    const modes = ['auto', ...TIERS];
+
+    const button = document.createElement('button');
+    button.className = 'quality-control';
+
+    function update() {
+        const label = t('ui.quality', 'quality');
+        button.textContent = quality.mode === 'auto'
+            ? `${label}: ${t('ui.auto', 'auto')} (${t(`ui.${quality.tier}`, quality.tier)})`
+            : `${label}: ${t(`ui.${quality.mode}`, quality.mode)}`;
+    }
+
+    button.addEventListener('click', () => {
+        quality.setMode(modes[(modes.indexOf(quality.mode) + 1) % modes.length]);
+    });
+    quality.addEventListener('change', update);
+    quality.addEventListener('modechange', update);
+    update();
+
+    document.body.appendChild(button);
+    return button;
+}
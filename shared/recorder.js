@@ -0,0 +1,248 @@
+// RECORDER =============================================================
+// records a visitor's run through a chapter as a WebM video: the WebGL canvas,
+// the narrative text overlaid on it, and the soundtrack
+//
+// everything happens in the browser (MediaRecorder), so it works offline;
+// the video is saved as a download when the recording stops
+// (dispatches 'change' when it starts or stops, and 'save' once it is saved)
+//
+// frames are composited into a canvas of their own, sized once when recording
+// starts: after a resize the page is fitted into it (letterboxed), so the video
+// keeps one size throughout. Call capture() right after each render, while the
+// WebGL canvas still holds the frame:
+//
+//     const recorder = new JourneyRecorder({ canvas: renderer.domElement, audio, overlays: [textContainer], name: 'born' });
+//     createRecordButton(recorder);
+//     ... post.render(); recorder.capture();
+
+import { t } from './i18n.js';
+
+const MAX_SIZE = 1920; // longest side of the video, in pixels
+const FRAME_RATE = 30;
+
+// the first format the browser can record
+const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+export class JourneyRecorder extends EventTarget {
+
+    static get supported() {
+        return typeof MediaRecorder !== 'undefined' && 'captureStream' in HTMLCanvasElement.prototype;
+    }
+
+    // canvas: the page's WebGL canvas; audio: its AudioEngine (see audio.js);
+    // overlays: the elements whose text is drawn over the frames; name: the chapter, for the file name
+    constructor({ canvas, audio, overlays = [], name = 'journey' }) {
+        super();
+
+        this.source = canvas;
+        this.audio = audio;
+        this.overlays = overlays;
+        this.name = name;
+        this.recorder = null;
+        this.startTime = 0;
+
+        this.canvas = document.createElement('canvas');
+        this.context = this.canvas.getContext('2d');
+
+        // word positions of each text node, kept until its element moves or resizes
+        this.layouts = new WeakMap();
+    }
+
+    get recording() {
+        return this.recorder !== null && this.recorder.state === 'recording';
+    }
+
+    // seconds since the recording started
+    get elapsed() {
+        return this.recording ? (performance.now() - this.startTime) / 1000 : 0;
+    }
+
+    start() {
+        if (this.recording) return;
+
+        // the page's size when recording starts, at up to MAX_SIZE (even sizes, for the encoders)
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        const scale = Math.min(window.devicePixelRatio, MAX_SIZE / Math.max(width, height));
+        this.canvas.width = Math.round(width * scale / 2) * 2;
+        this.canvas.height = Math.round(height * scale / 2) * 2;
+
+        // the soundtrack before the master volume, so a muted visitor still records it
+        const audioDestination = this.audio.context.createMediaStreamDestination();
+        this.audio.mix.connect(audioDestination);
+
+        const stream = new MediaStream([
+            ...this.canvas.captureStream(FRAME_RATE).getVideoTracks(),
+            ...audioDestination.stream.getAudioTracks()
+        ]);
+
+        const mimeType = MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+        const chunks = [];
+
+        recorder.addEventListener('dataavailable', (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        });
+        recorder.addEventListener('stop', () => {
+            stream.getTracks().forEach(track => track.stop());
+            this.audio.mix.disconnect(audioDestination);
+            this.save(new Blob(chunks, { type: recorder.mimeType || 'video/webm' }));
+            this.dispatchEvent(new Event('save'));
+        });
+        recorder.addEventListener('error', (e) => {
+            console.error('Recording failed:', e.error);
+        });
+
+        recorder.start(1000); // in one-second chunks, so a long run isn't held in one piece
+        this.recorder = recorder;
+        this.startTime = performance.now();
+        this.dispatchEvent(new Event('change'));
+    }
+
+    stop() {
+        if (!this.recording) return;
+
+        this.recorder.stop();
+        this.dispatchEvent(new Event('change'));
+    }
+
+    toggle() {
+        if (this.recording) {
+            this.stop();
+        } else {
+            this.start();
+        }
+    }
+
+    save(blob) {
+        const date = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `blood-child-${this.name}-${date}.webm`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+    }
+
+    // draw the frame just rendered, and the text over it, into the video
+    capture() {
+        if (!this.recording) return;
+
+        const { canvas, context } = this;
+
+        // the page fitted into the video, which keeps the size it started with
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        const scale = Math.min(canvas.width / width, canvas.height / height);
+        const left = (canvas.width - width * scale) / 2;
+        const top = (canvas.height - height * scale) / 2;
+
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.globalAlpha = 1;
+        context.fillStyle = 'black';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(this.source, left, top, width * scale, height * scale);
+
+        // the overlays are laid out in CSS pixels, like the page
+        context.setTransform(scale, 0, 0, scale, left, top);
+        this.overlays.forEach(overlay => this.drawText(overlay));
+    }
+
+    // every visible text node under the element (but not the buttons), word by word where the page shows it
+    drawText(root) {
+        const { context } = this;
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            const parent = node.parentElement;
+            if (!node.textContent.trim() || parent.closest('.button-container, button')) continue;
+
+            const opacity = visibleOpacity(parent);
+            if (opacity < 0.01) continue;
+
+            const style = getComputedStyle(parent);
+            context.globalAlpha = opacity;
+            context.fillStyle = style.color;
+            context.font = `${style.fontStyle} ${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+            context.direction = style.direction;
+            context.textAlign = 'left';
+            context.textBaseline = 'middle';
+
+            this.layout(node).forEach(word => {
+                context.fillText(word.text, word.x, word.y);
+            });
+        }
+    }
+
+    // measuring every word is slow, so it's only redone when the text's element moves or changes size
+    layout(node) {
+        const rect = node.parentElement.getBoundingClientRect();
+        const key = `${rect.left} ${rect.top} ${rect.width} ${rect.height} ${node.textContent.length}`;
+
+        const cached = this.layouts.get(node);
+        if (cached && cached.key === key) return cached.words;
+
+        const words = [];
+        const range = document.createRange();
+        for (const match of node.textContent.matchAll(/\S+/g)) {
+            range.setStart(node, match.index);
+            range.setEnd(node, match.index + match[0].length);
+            const box = range.getBoundingClientRect();
+            words.push({ text: match[0], x: box.left, y: box.top + box.height / 2 });
+        }
+
+        this.layouts.set(node, { key, words });
+        return words;
+    }
+}
+
+// how opaque an element looks (its own and its ancestors' opacity), 0 when hidden
+function visibleOpacity(el) {
+    let opacity = 1;
+    for (let node = el; node && node !== document.body; node = node.parentElement) {
+        const style = getComputedStyle(node);
+        if (style.display === 'none' || style.visibility === 'hidden' || node.hidden) return 0;
+        opacity *= parseFloat(style.opacity);
+    }
+    return opacity;
+}
+
+// record / stop button with the running time (styled in recorder.css);
+// following a link to the next chapter ends the recording, and leaves once it is saved
+export function createRecordButton(recorder) {
+    if (!JourneyRecorder.supported) return null;
+
+    const button = document.createElement('button');
+    button.className = 'record-button';
+
+    let timer;
+
+    function update() {
+        const seconds = Math.floor(recorder.elapsed);
+        const time = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        button.textContent = recorder.recording ? `${t('ui.stopRecording', 'stop')} ${time}` : t('ui.record', 'record');
+        button.setAttribute('aria-pressed', recorder.recording);
+    }
+
+    button.addEventListener('click', () => recorder.toggle());
+    recorder.addEventListener('change', () => {
+        clearInterval(timer);
+        if (recorder.recording) timer = setInterval(update, 1000);
+        update();
+    });
+    update();
+
+    document.addEventListener('click', (e) => {
+        const link = e.target.closest('a.outlined-button');
+        if (!link || !recorder.recording) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        recorder.addEventListener('save', () => {
+            setTimeout(() => link.click(), 500); // let the download begin first
+        }, { once: true });
+        recorder.stop();
+    }, true);
+
+    document.body.appendChild(button);
+    return button;
+}
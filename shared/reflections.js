@@ -0,0 +1,267 @@
+// REFLECTIONS ==========================================================
+// at the end of a chapter a visitor can leave a short anonymous reflection,
+// and earlier visitors' reflections drift through later journeys
+//
+// the story offers the prompt with a button: { "label": "...", "action": "reflect" }
+//
+// where reflections are kept is pluggable: a store is any object with
+//     list()           → Promise of [{ text, chapter, date }]
+//     add(reflection)  → Promise
+// by default this browser's localStorage; an installation can point its screens
+// at a small HTTP endpoint on the local network instead (GET lists them, POST adds one, JSON),
+// chosen when the site is built: VITE_REFLECTIONS=http://192.168.1.20:8080/reflections;
+// for a test, ?reflections=http://localhost:8080/reflections uses one on this machine or
+// this site for that page (never elsewhere, and not kept, see endpoint.js);
+// setReflectionStore() plugs in any other
+//
+// only the words, the chapter and the day are kept: nothing about the visitor
+
+import * as THREE from 'three';
+import { t } from './i18n.js';
+import { localEndpoint } from './endpoint.js';
+
+const STORAGE_KEY = 'blood-child-reflections';
+
+export const MAX_LENGTH = 280; // characters per reflection
+const MAX_KEPT = 200; // the oldest are forgotten first
+
+// the reflections a store returned, without anything malformed
+function clean(reflections) {
+    if (!Array.isArray(reflections)) return [];
+    return reflections
+        .filter(reflection => reflection && typeof reflection.text === 'string' && reflection.text.trim())
+        .map(({ text, chapter = null, date = null }) => ({ text: text.trim().slice(0, MAX_LENGTH), chapter, date }));
+}
+
+export class LocalReflectionStore {
+
+    list() {
+        try {
+            return Promise.resolve(clean(JSON.parse(localStorage.getItem(STORAGE_KEY))));
+        } catch (error) {
+            return Promise.resolve([]);
+        }
+    }
+
+    add(reflection) {
+        return this.list().then(reflections => {
+            reflections.push(reflection);
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(reflections.slice(-MAX_KEPT)));
+        });
+    }
+}
+
+export class HttpReflectionStore {
+
+    constructor(url) {
+        this.url = url;
+    }
+
+    list() {
+        return fetch(this.url)
+            .then(response => {
+                if (!response.ok) throw new Error(`${response.status} ${this.url}`);
+                return response.json();
+            })
+            .then(clean);
+    }
+
+    add(reflection) {
+        return fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(reflection)
+        }).then(response => {
+            if (!response.ok) throw new Error(`${response.status} ${this.url}`);
+        });
+    }
+}
+
+function pickStore() {
+    const requested = new URLSearchParams(window.location.search).get('reflections');
+
+    if (requested && requested !== 'local') {
+        const endpoint = localEndpoint(requested);
+        if (endpoint) return new HttpReflectionStore(endpoint);
+        console.error('Reflections only go to this machine or this site from the URL:', requested);
+    }
+
+    const built = import.meta.env.VITE_REFLECTIONS;
+    if (built && requested !== 'local') return new HttpReflectionStore(built);
+    return new LocalReflectionStore();
+}
+
+let store = pickStore();
+
+export function setReflectionStore(newStore) {
+    store = newStore;
+}
+
+export function saveReflection(text, chapter) {
+    return store.add({
+        text: text.trim().slice(0, MAX_LENGTH),
+        chapter,
+        date: new Date().toISOString().slice(0, 10)
+    });
+}
+
+// up to count reflections, picked at random; none if the store can't be reached
+export function loadReflections(count) {
+    return store.list()
+        .then(reflections => {
+            for (let i = reflections.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [reflections[i], reflections[j]] = [reflections[j], reflections[i]];
+            }
+            return reflections.slice(0, count);
+        })
+        .catch(error => {
+            console.error('Could not load reflections:', error);
+            return [];
+        });
+}
+
+// PROMPT ---------------------------------------------------------------
+// opened by the story's "reflect" buttons (styled in reflections.css);
+// the navigator is locked while it is open, so scrolling doesn't leave the step
+export function createReflectionPrompt({ chapter, stepNavigator }) {
+    const overlay = document.createElement('form');
+    overlay.className = 'reflection-prompt';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-labelledby', 'reflection-prompt-text');
+    overlay.hidden = true;
+
+    const text = document.createElement('label');
+    text.id = 'reflection-prompt-text';
+    text.htmlFor = 'reflection-prompt-input';
+    text.textContent = t('ui.reflectionPrompt', 'Leave a few words for whoever comes after you. They stay anonymous.');
+
+    const input = document.createElement('textarea');
+    input.id = 'reflection-prompt-input';
+    input.maxLength = MAX_LENGTH;
+    input.rows = 3;
+
+    const status = document.createElement('p');
+    status.className = 'reflection-status';
+    status.setAttribute('aria-live', 'polite');
+
+    const buttons = document.createElement('div');
+    buttons.className = 'button-container';
+
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.className = 'outlined-button';
+    submit.textContent = t('ui.reflectionSubmit', 'Leave it');
+
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'outlined-button';
+    cancel.textContent = t('ui.reflectionCancel', 'Not now');
+
+    let closeTimeout;
+
+    function open() {
+        clearTimeout(closeTimeout);
+        input.value = '';
+        input.disabled = false;
+        submit.disabled = false;
+        status.textContent = '';
+        overlay.hidden = false;
+        stepNavigator.lock('reflection');
+        input.focus();
+    }
+
+    function close() {
+        clearTimeout(closeTimeout);
+        overlay.hidden = true;
+        stepNavigator.unlock('reflection');
+    }
+
+    overlay.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (!input.value.trim()) return;
+
+        input.disabled = true;
+        submit.disabled = true;
+        saveReflection(input.value, chapter)
+            .then(() => {
+                status.textContent = t('ui.reflectionThanks', 'Thank you. Your words will drift through someone else\'s journey.');
+                closeTimeout = setTimeout(close, 3000);
+            })
+            .catch(error => {
+                console.error('Could not save the reflection:', error);
+                status.textContent = t('ui.reflectionFailed', 'Your words could not be kept this time.');
+                input.disabled = false;
+                submit.disabled = false;
+            });
+    });
+    cancel.addEventListener('click', close);
+    overlay.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') close();
+    });
+
+    document.querySelectorAll('[data-action="reflect"]').forEach(button => {
+        button.addEventListener('click', open);
+    });
+
+    buttons.appendChild(submit);
+    buttons.appendChild(cancel);
+    overlay.appendChild(text);
+    overlay.appendChild(input);
+    overlay.appendChild(status);
+    overlay.appendChild(buttons);
+    document.body.appendChild(overlay);
+
+    return overlay;
+}
+
+// DRIFT ----------------------------------------------------------------
+// a reflection as faint text in the scene, wrapped into short lines,
+// each lineHeight world units tall; each page scatters them where they belong (see unborn.js)
+const FONT = 'italic 48px "Balthazar", Geneva, Tahoma, sans-serif';
+const LINE_GAP = 60; // canvas pixels per line
+const LINE_WIDTH = 640;
+
+export function createReflectionSprite(text, { lineHeight = 1, opacity = 0.3 } = {}) {
+    const canvas = document.createElement('canvas');
+    let context = canvas.getContext('2d');
+    context.font = FONT;
+
+    const lines = [''];
+    text.split(/\s+/).forEach(word => {
+        const line = lines[lines.length - 1];
+        const longer = line ? `${line} ${word}` : word;
+        if (line && context.measureText(longer).width > LINE_WIDTH) {
+            lines.push(word);
+        } else {
+            lines[lines.length - 1] = longer;
+        }
+    });
+
+    // resizing the canvas resets its context
+    canvas.width = Math.ceil(Math.max(...lines.map(line => context.measureText(line).width))) + 32;
+    canvas.height = lines.length * LINE_GAP + 16;
+    context = canvas.getContext('2d');
+    context.font = FONT;
+    context.fillStyle = 'white';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    lines.forEach((line, i) => {
+        context.fillText(line, canvas.width / 2, 8 + (i + 0.5) * LINE_GAP);
+    });
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: texture,
+        transparent: true,
+        opacity,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+    }));
+    const unit = lineHeight / LINE_GAP;
+    sprite.scale.set(canvas.width * unit, canvas.height * unit, 1);
+    return sprite;
+}
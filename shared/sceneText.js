@@ -0,0 +1,134 @@
+import * as THREE from 'three';
+
+// SCENE TEXT ===========================================================
+// an alternative presentation of the narrative: each step's text drawn inside
+// the WebGL scene instead of over it, so the lights, fog and bloom reach the words
+//
+// ?text=scene turns it on and ?text=overlay back off (kept across pages)
+//
+// the HTML texts stay in the page for the buttons, screen readers and timing:
+// their words are hidden, and every scene text copies its element's opacity
+// each frame, so the steps' own fades drive both. Each page places the texts
+// (near the blobs in born.js, along the tube's walls in unborn.js)
+
+const SETTINGS_KEY = 'blood-child-text';
+
+function pickMode() {
+    const requested = new URLSearchParams(window.location.search).get('text');
+
+    try {
+        if (requested === 'scene' || requested === 'overlay') {
+            localStorage.setItem(SETTINGS_KEY, requested);
+            return requested;
+        }
+        return localStorage.getItem(SETTINGS_KEY) || 'overlay';
+    } catch (error) {
+        return requested || 'overlay';
+    }
+}
+
+export const sceneTextEnabled = pickMode() === 'scene';
+
+// the lines of a text element as the overlay shows them:
+// <br> and each span start a new line, the buttons are left out
+export function textLines(el) {
+    const lines = [''];
+
+    (function walk(node) {
+        node.childNodes.forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) {
+                lines[lines.length - 1] += child.textContent.replace(/\s+/g, ' ');
+            } else if (child.nodeName === 'BR') {
+                lines.push('');
+            } else if (child.nodeType === Node.ELEMENT_NODE && !child.classList.contains('button-container')) {
+                if (lines[lines.length - 1].trim()) lines.push('');
+                walk(child);
+                lines.push('');
+            }
+        });
+    })(el);
+
+    const trimmed = lines.map(line => line.trim());
+    while (trimmed.length > 1 && !trimmed[0]) trimmed.shift();
+    while (trimmed.length > 1 && !trimmed[trimmed.length - 1]) trimmed.pop();
+    return trimmed;
+}
+
+const FONT_SIZE = 64; // canvas pixels per line of text
+const LINE_GAP = FONT_SIZE * 1.4;
+const PADDING = FONT_SIZE * 0.5;
+
+export class SceneText extends THREE.Mesh {
+
+    // el: the step's HTML text; lineHeight: the height of a line in world units
+    constructor(el, { lineHeight = 1 } = {}) {
+        const canvas = document.createElement('canvas');
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+
+        // lit like the rest of the scene, and faded by the element's opacity
+        const material = new THREE.MeshLambertMaterial({
+            map: texture,
+            transparent: true,
+            opacity: 0,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+
+        super(new THREE.PlaneGeometry(1, 1), material);
+
+        this.element = el;
+        this.canvas = canvas;
+        this.lineHeight = lineHeight;
+        this.visible = false;
+
+        // the words only show in the scene (the buttons stay white, see the pages' css)
+        el.style.color = 'transparent';
+
+        this.draw();
+        // the page's font may still be loading
+        document.fonts.ready.then(() => this.draw());
+    }
+
+    draw() {
+        const { canvas, element } = this;
+        const lines = textLines(element);
+        const style = getComputedStyle(element);
+        const rtl = style.direction === 'rtl';
+        const align = element.classList.contains('text-div-center') ? 'center' : 'start';
+        const font = `${style.fontStyle} ${FONT_SIZE}px ${style.fontFamily}`;
+
+        let context = canvas.getContext('2d');
+        context.font = font;
+        const textWidth = Math.max(1, ...lines.map(line => context.measureText(line).width));
+
+        // resizing the canvas resets its context
+        canvas.width = Math.ceil(textWidth + PADDING * 2);
+        canvas.height = Math.ceil(lines.length * LINE_GAP + PADDING * 2);
+        context = canvas.getContext('2d');
+        context.font = font;
+        context.fillStyle = 'white';
+        context.textBaseline = 'middle';
+        context.direction = rtl ? 'rtl' : 'ltr';
+        context.textAlign = align;
+
+        const x = align === 'center' ? canvas.width / 2 : (rtl ? canvas.width - PADDING : PADDING);
+        lines.forEach((line, i) => {
+            context.fillText(line, x, PADDING + (i + 0.5) * LINE_GAP);
+        });
+
+        // a new size needs a new texture on the GPU
+        this.material.map.dispose();
+        this.material.map.needsUpdate = true;
+
+        const unit = this.lineHeight / LINE_GAP;
+        this.scale.set(canvas.width * unit, canvas.height * unit, 1);
+    }
+
+    // follow the HTML text's fade
+    update() {
+        const opacity = parseFloat(getComputedStyle(this.element).opacity);
+        this.material.opacity = opacity;
+        this.visible = opacity > 0.01;
+    }
+}
@@ -0,0 +1,69 @@
+// STORY ================================================================
+// builds the narrative text overlays from a chapter's story file
+// (see born/story.json and unborn/story.json for the format)
+
+// write a string into an element, turning line breaks into <br>
+function appendLines(el, text) {
+    text.split('\n').forEach((line, i) => {
+        if (i > 0) el.appendChild(document.createElement('br'));
+        el.appendChild(document.createTextNode(line));
+    });
+}
+
+// a step's text is either a plain string or a list of spans,
+// where each span is a string or { text, class, style }
+function appendText(el, text) {
+    if (typeof text === 'string') {
+        appendLines(el, text);
+        return;
+    }
+
+    text.forEach(part => {
+        const span = document.createElement('span');
+        if (typeof part === 'string') {
+            appendLines(span, part);
+        } else {
+            appendLines(span, part.text);
+            if (part.class) span.className = part.class;
+            if (part.style) span.style.cssText = part.style;
+        }
+        el.appendChild(span);
+    });
+}
+
+function createButtons(buttons) {
+    const buttonContainer = document.createElement('div');
+    buttonContainer.className = 'button-container';
+
+    buttons.forEach(button => {
+        // a link, or a button for the page to handle ({ "action": "explore" }, see unborn.js)
+        const el = document.createElement(button.action ? 'button' : 'a');
+        if (button.action) {
+            el.dataset.action = button.action;
+        } else {
+            el.href = button.href;
+        }
+        el.className = 'outlined-button';
+        el.textContent = button.label;
+        if (button.choice) el.dataset.choice = button.choice; // see cycle.js
+        buttonContainer.appendChild(el);
+    });
+
+    return buttonContainer;
+}
+
+// create one text div per step inside the container and return them in order
+export function renderTexts(container, steps, startIndex = 0) {
+    return steps.map((step, i) => {
+        const el = document.createElement('div');
+        el.id = `text${startIndex + i}`;
+        if (step.layout) el.className = step.layout;
+        if (step.style) el.style.cssText = step.style;
+
+        appendText(el, step.text);
+        if (step.buttons) el.appendChild(createButtons(step.buttons));
+
+        container.appendChild(el);
+        return el;
+    });
+}
@@ -0,0 +1,211 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { round } from '../shared/authoring.js';
+
+// PATH EDITOR ==========================================================
+// art-directs the tunnel: the path's control points become handles seen
+// from an overview camera; click one and drag its arrows, and the tube
+// is rebuilt as it moves (the tube camera follows the new path right away)
+//
+// paths are saved and loaded in the format of unborn/path.json:
+//     { "points": [ [x, y, z], ... ] }
+//
+// dispatches 'change' after every rebuild
+
+export class PathEditor extends EventTarget {
+
+    // createGeometry(path): the tube's geometry for a path
+    constructor({ scene, renderer, path, tube, createGeometry }) {
+        super();
+
+        this.scene = scene;
+        this.renderer = renderer;
+        this.path = path;
+        this.tube = tube;
+        this.createGeometry = createGeometry;
+        this.selected = -1;
+        this._active = false;
+
+        this.camera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 1, 5000);
+        this.orbit = new OrbitControls(this.camera, renderer.domElement);
+        this.orbit.enabled = false;
+
+        this.transform = new TransformControls(this.camera, renderer.domElement);
+        this.transform.enabled = false;
+        this.transform.addEventListener('dragging-changed', (e) => {
+            this.orbit.enabled = !e.value;
+        });
+        this.transform.addEventListener('objectChange', () => {
+            this.path.points[this.selected].copy(this.transform.object.position);
+            this.rebuild();
+        });
+
+        // everything the editor draws, hidden outside of it
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        this.group.add(this.transform.getHelper());
+        scene.add(this.group);
+
+        this.handleGeometry = new THREE.SphereGeometry(2, 16, 8);
+        this.handleMaterial = new THREE.MeshBasicMaterial({ color: 0xffcc00, depthTest: false });
+        this.selectedMaterial = new THREE.MeshBasicMaterial({ color: 0xff3300, depthTest: false });
+        this.handles = [];
+
+        this.line = new THREE.Line(
+            new THREE.BufferGeometry(),
+            new THREE.LineBasicMaterial({ color: 0xffcc00, depthTest: false })
+        );
+        this.group.add(this.line);
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.onPointerDown = this.onPointerDown.bind(this);
+
+        this.createHandles();
+        this.updateLine();
+    }
+
+    get active() {
+        return this._active;
+    }
+
+    set active(active) {
+        if (active === this._active) return;
+        this._active = active;
+
+        this.group.visible = active;
+        this.orbit.enabled = active;
+        this.transform.enabled = active;
+
+        if (active) {
+            this.frame();
+            this.renderer.domElement.addEventListener('pointerdown', this.onPointerDown);
+        } else {
+            this.select(-1);
+            this.renderer.domElement.removeEventListener('pointerdown', this.onPointerDown);
+        }
+    }
+
+    // look at the whole path from above
+    frame() {
+        const box = new THREE.Box3().setFromPoints(this.path.points);
+        const center = box.getCenter(new THREE.Vector3());
+        const size = box.getSize(new THREE.Vector3()).length();
+
+        this.camera.position.set(center.x, center.y + size, center.z + size * 0.5);
+        this.orbit.target.copy(center);
+        this.orbit.update();
+    }
+
+    render() {
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    setSize(width, height) {
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+    }
+
+    onPointerDown(e) {
+        // a drag on the arrows, not a new pick
+        if (this.transform.dragging || this.transform.axis) return;
+
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((e.clientX - rect.left) / rect.width) * 2 - 1,
+            -((e.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+
+        const hit = this.raycaster.intersectObjects(this.handles)[0];
+        if (hit) this.select(this.handles.indexOf(hit.object));
+    }
+
+    select(index) {
+        this.selected = index;
+        this.handles.forEach((handle, i) => {
+            handle.material = i === index ? this.selectedMaterial : this.handleMaterial;
+        });
+
+        if (index >= 0) {
+            this.transform.attach(this.handles[index]);
+        } else {
+            this.transform.detach();
+        }
+    }
+
+    // a point halfway to the next one (or beyond the last), after the selected point
+    addPoint() {
+        const points = this.path.points;
+        const index = this.selected >= 0 ? this.selected : points.length - 1;
+        const point = index < points.length - 1
+            ? points[index].clone().lerp(points[index + 1], 0.5)
+            : points[index].clone().multiplyScalar(2).sub(points[index - 1]);
+
+        points.splice(index + 1, 0, point);
+        this.createHandles();
+        this.select(index + 1);
+        this.rebuild();
+    }
+
+    removePoint() {
+        const points = this.path.points;
+        const index = this.selected;
+        if (index < 0 || points.length <= 2) return;
+
+        points.splice(index, 1);
+        this.createHandles();
+        this.select(Math.min(index, points.length - 1));
+        this.rebuild();
+    }
+
+    createHandles() {
+        this.select(-1);
+        this.handles.forEach(handle => this.group.remove(handle));
+
+        this.handles = this.path.points.map(point => {
+            const handle = new THREE.Mesh(this.handleGeometry, this.handleMaterial);
+            handle.position.copy(point);
+            handle.renderOrder = 1;
+            this.group.add(handle);
+            return handle;
+        });
+    }
+
+    updateLine() {
+        // the same number of points every time, so after the first call
+        // the positions are written into the line's buffer instead of a new one
+        const points = this.path.getPoints(200);
+        const position = this.line.geometry.getAttribute('position');
+        if (position && position.count === points.length) {
+            points.forEach((point, i) => position.setXYZ(i, point.x, point.y, point.z));
+            position.needsUpdate = true;
+        } else {
+            this.line.geometry.setFromPoints(points);
+        }
+        this.line.geometry.computeBoundingSphere();
+    }
+
+    rebuild() {
+        this.path.updateArcLengths();
+
+        this.tube.geometry.dispose();
+        this.tube.geometry = this.createGeometry(this.path);
+        this.updateLine();
+
+        this.dispatchEvent(new Event('change'));
+    }
+
+    toJSON() {
+        return {
+            points: this.path.points.map(point => [round(point.x, 1), round(point.y, 1), round(point.z, 1)])
+        };
+    }
+
+    load({ points }) {
+        this.path.points = points.map(point => new THREE.Vector3().fromArray(point));
+        this.createHandles();
+        this.rebuild();
+    }
+}
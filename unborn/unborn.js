@@ -1,26 +1,52 @@
 import * as THREE from 'three';
 // console.log("three.js loaded");
-import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
-import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
-import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
 import gsap from 'gsap';
-import ScrollTrigger from 'gsap/ScrollTrigger';
 import { Linear } from 'gsap'; 
-gsap.registerPlugin(ScrollTrigger);
 import jQuery from 'jquery';
 window.$ = window.jQuery = jQuery; // make jQuery available globally
-import { WheelAdaptor } from 'three-story-controls'; 
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
-
-// Background sound
-window.addEventListener('scroll', () => {
-  // console.log("scrolled");
-  const audio = document.getElementById('background-audio');
-  audio.muted = false;
-  audio.play().catch(error => {
-    console.error('Audio playback failed:', error);
-  });
-});
+import { StepNavigator } from '../shared/navigator.js';
+import { connectInputs } from '../shared/input.js';
+import { stepFromHash, linkToHash } from '../shared/deeplink.js';
+import { runKiosk } from '../shared/kiosk.js';
+import { getCycle, trackChoices, textForCycle } from '../shared/cycle.js';
+import { createPageAudio } from '../shared/audio.js';
+import { accessibility, announce, announceStep, showCaptions, createAccessibilityControls } from '../shared/accessibility.js';
+import { renderTexts } from '../shared/story.js';
+import { PostProcessing, postDefaults } from '../shared/postprocessing.js';
+import { QualityManager, createQualityControl } from '../shared/quality.js';
+import { authoring, createAuthoringPanel, capturePose, createFreeCamera, addFields, exportJSON, pickJSON } from '../shared/authoring.js';
+import { localizeStory, translatePage, createLanguageSwitcher } from '../shared/i18n.js';
+import { sceneTextEnabled, SceneText } from '../shared/sceneText.js';
+import { JourneyRecorder, createRecordButton } from '../shared/recorder.js';
+import { createReflectionPrompt, loadReflections, createReflectionSprite } from '../shared/reflections.js';
+import { trackJourney } from '../shared/analytics.js';
+import { moon } from '../shared/moon.js';
+import storyFile from './story.json';
+import tubePath from './path.json';
+import { PathEditor } from './pathEditor.js';
+
+// the story in the visitor's language (see shared/i18n.js); the authoring panel edits the file itself
+const story = authoring ? storyFile : localizeStory(storyFile, 'unborn');
+
+// Background sound and step cues (defined in story.json)
+const audio = createPageAudio(story.audio);
+
+// reduced motion, captions and narration (see shared/accessibility.js),
+// the page's texts in the visitor's language and the language menu
+createAccessibilityControls();
+showCaptions(audio);
+translatePage();
+createLanguageSwitcher();
+
+// Quality tiers: stepped down or up from the measured frame time (see shared/quality.js)
+const qualityTiers = {
+  low: { particles: 0.25, pixelRatio: 1, bloom: false, antialias: false },
+  medium: { particles: 0.5, pixelRatio: 1, bloom: true, antialias: true },
+  high: { particles: 1, pixelRatio: Math.min(window.devicePixelRatio, 2), bloom: true, antialias: true }
+};
+const quality = new QualityManager();
+createQualityControl(quality);
 
 //Mouse movement setup
 var Mathutils = {
@@ -41,33 +67,28 @@ var Mathutils = {
         return res;
     }
 };
-var markers = [];
 
 
 //Get window size
 var ww = window.innerWidth,
   wh = window.innerHeight;
 
-var composer, params = {
-    exposure: 1.3,
-    bloomStrength: .9,
-    bloomThreshold: 0, //changed from 0 to 0.1
-    bloomRadius: 0
-  };
-
 //Create a WebGL renderer
+//(antialias can only be chosen here, so it follows the tier the page starts with)
 var renderer = new THREE.WebGLRenderer({
   canvas: document.querySelector("canvas"),
-  antialias: true,
+  antialias: qualityTiers[quality.tier].antialias,
   shadowMapEnabled: true,
   shadowMapType: THREE.PCFSoftShadowMap
 });
+renderer.setPixelRatio(qualityTiers[quality.tier].pixelRatio);
 renderer.setSize(ww, wh);
 
 //Create an empty scene
 var scene = new THREE.Scene();
 // scene.background = new THREE.Color(0x000000); 
-scene.fog = new THREE.Fog(0x000000,0,500);
+//the fog thins as the moon fills, and thickens toward the new moon (see shared/moon.js)
+scene.fog = new THREE.Fog(0x000000,0,420 + 160 * moon.illumination);
 
 var clock = new THREE.Clock();
 
@@ -85,55 +106,32 @@ c.position.z = 400;
 c.add(camera);
 scene.add(c);
 
-//Set up render pass
-var renderScene = new RenderPass(scene, camera);
-var bloomPass = new UnrealBloomPass(new THREE.Vector2(window.innerWidth, window.innerHeight), 1.5, 0.4, 0.85);
-bloomPass.renderToScreen = true;
-bloomPass.threshold = params.bloomThreshold;
-bloomPass.strength = params.bloomStrength;
-bloomPass.radius = params.bloomRadius;
-composer = new EffectComposer(renderer); //composer = new THREE.EffectComposer( renderer );
-composer.setSize(window.innerWidth, window.innerHeight);
-composer.addPass(renderScene);
-composer.addPass(bloomPass);
+//Set up post-processing (bloom, grain, vignette... per scene in story.json)
+var post = new PostProcessing(renderer, scene, camera, { convertColorSpace: false });
 
 
 //CREATE THE TUBE ===============================================
-//array of points
-var points = [
-	[10, 89, 0],
-	[50, 88, 10],
-	[76, 139, 20],
-	[126, 141, 12],
-	[150, 112, 8],
-	[157, 73, 0],
-	[180, 44, 5],
-	[207, 35, 10],
-	[232, 36, 0]
-];
+//the path's control points are in path.json (edit them with ?author, see pathEditor.js)
+var points = tubePath.points.map(point => new THREE.Vector3().fromArray(point));
 
 var p1, p2, p3;
 
-//convert the array of points into vertices
-for (var i = 0; i < points.length; i++) {
-  var x = points[i][0];
-  var y = points[i][2];
-  var z = points[i][1];
-  points[i] = new THREE.Vector3(x, y, z);
-}
 //create a path from the points
 var path = new THREE.CatmullRomCurve3(points);
 //path.curveType = 'catmullrom';
 path.tension = .5;
 
 //create a new tube geometry with a different radius
-var geometry = new THREE.TubeGeometry( path, 300, 5, 32, false );
+function createTubeGeometry(path) {
+  return new THREE.TubeGeometry( path, 300, 5, 32, false );
+}
+var geometry = createTubeGeometry(path);
 
 //create image texture
 // var texture = new THREE.TextureLoader().load( '../media/organic-tunnel.jpeg', function ( texture ) {
 var texture = new THREE.TextureLoader().load( '/media/organic-tunnel.jpeg', function ( texture ) { //update media paths for vercel
     texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-    texture.offset.set(0, 0);
+    texture.offset.set(0, moon.phase); //turned around the tunnel once a lunar month
     texture.repeat.set(3, 1);
 });
 
@@ -194,6 +192,10 @@ var material = new THREE.MeshPhongMaterial({
   specular: 0x0b2349
 });
 
+// the tunnel darkens a little on every pass through the loop
+var cycle = getCycle();
+material.color.setScalar(1 - Math.min(cycle * 0.15, 0.6));
+
 //create a mesh
 var tube = new THREE.Mesh( geometry, material );
 //tube.receiveShadows = true;
@@ -240,91 +242,88 @@ function updateCameraPercentage(percentage) {
 }
 
 
-// SCROLL ANIMATIONS =========================================
+// STEP ANIMATIONS =========================================
 let cameraTargetPercentage = 0;
 let currentCameraPercentage = 0;
 gsap.defaultEase = Linear.easeNone;
 let tubePerc = {
   percent: 0
 }
-gsap.registerPlugin(ScrollTrigger);
-
-
-//Master timeline with gsap scroll trigger
-let masterTimeline = gsap.timeline({
-  scrollTrigger: {
-      trigger: ".scrollTarget",
-      start: "top top",
-      end: "bottom 100%",
-      scrub: 3,
-      // markers: {color: "white"}
-  }
-});
 
 // Scene 1: Tube Travel -------------------------------
+// both scenes, with their texts and camera steps, are defined in story.json
+const [tubeScene, sphereScene] = story.scenes;
+const textContainer = document.querySelector('.text-container');
+
 // Scene 1 texts
-let texts = [
-  document.getElementById('text1'),
-  document.getElementById('text2'),
-  document.getElementById('text3'),
-  document.getElementById('text4'),
-  document.getElementById('text5'),
-  document.getElementById('text6')
-];
+let texts = renderTexts(textContainer, tubeScene.steps.map(step => textForCycle(step, cycle)));
 
 // Initial state
 gsap.set(texts, { opacity: 0, scale: 0.8 });
 // tube.material.opacity = 0;
 // tube.material.transparent = true;
 
-// Scene 1 timeline
-masterTimeline.to(tubePerc, {
-    percent: .96,
-    ease: Linear.easeNone,
-    duration: 500,
-    onUpdate: function() {
-        cameraTargetPercentage = tubePerc.percent;
-        // console.log("Scene 1");
-        // console.log("tubePerc.percent: " + tubePerc.percent);
-
-        // update texts based on tube percentage
-        texts.forEach((text, index) => {
-            // divide the total tube range (0.96) into 5 equal segments
-            let segmentSize = 1 / texts.length; // Each segment is ~0.192
-            let textStart = index * segmentSize;
-            let textEnd = textStart + segmentSize;
+// update texts based on tube percentage
+function updateTubeTexts() {
+    texts.forEach((text, index) => {
+        // divide the total tube range into equal segments, one per text
+        let segmentSize = 1 / texts.length;
+        let textStart = index * segmentSize;
+        let textEnd = textStart + segmentSize;
+        
+        // fade out the last text when we reach the end of the tube
+        if (index === texts.length - 1 && tubePerc.percent > tubeScene.end) {
+          text.style.opacity = 0;
+          text.style.transform = 'scale(0.8)';
+          return;
+        }
+
+        // calculate opacity based on position within segment
+        if (tubePerc.percent >= textStart && tubePerc.percent < textEnd) {
+            // calculate how far we are into this segment (0 to 1)
+            let segmentProgress = (tubePerc.percent - textStart) / segmentSize;
             
-            // fade out the last text when we reach the end of the tube
-            if (index === texts.length - 1 && tubePerc.percent > 0.96) {
-              text.style.opacity = 0;
-              text.style.transform = 'scale(0.8)';
-              return;
+            // fade in during first 20% of segment, fade out during last 20%
+            let opacity = 1;
+            if (segmentProgress < 0.2) {
+                opacity = segmentProgress / 0.2; // Fade in
+            } else if (segmentProgress > 0.8) {
+                opacity = 1 - ((segmentProgress - 0.8) / 0.2); // Fade out
             }
+            
+            text.style.opacity = opacity;
+            text.style.transform = `scale(${0.8 + (0.2 * opacity)})`;
+        } else {
+            text.style.opacity = 0;
+            text.style.transform = 'scale(0.8)';
+        }
+    });
+}
 
-            // calculate opacity based on position within segment
-            if (tubePerc.percent >= textStart && tubePerc.percent < textEnd) {
-                // calculate how far we are into this segment (0 to 1)
-                let segmentProgress = (tubePerc.percent - textStart) / segmentSize;
-                // console.log(`\nActive Text ${index + 1}:`);
-                // console.log(`Progress in segment: ${(segmentProgress * 100).toFixed(1)}%`);
-                
-                // fade in during first 20% of segment, fade out during last 20%
-                let opacity = 1;
-                if (segmentProgress < 0.2) {
-                    opacity = segmentProgress / 0.2; // Fade in
-                } else if (segmentProgress > 0.8) {
-                    opacity = 1 - ((segmentProgress - 0.8) / 0.2); // Fade out
-                }
-                
-                text.style.opacity = opacity;
-                text.style.transform = `scale(${0.8 + (0.2 * opacity)})`;
-            } else {
-                text.style.opacity = 0;
-                text.style.transform = 'scale(0.8)';
-            }
-        });
+// where the camera stops in the tube for a text: the middle of its segment, up to the tube's end
+function tubeStop(step) {
+  return Math.min((step + 0.5) / texts.length, tubeScene.end);
+}
+
+// travel through the tube to a text's stop
+// (immediate, or reduced motion, places the camera there without travelling);
+// returns the travel
+function travelToTubeStep(step, immediate = false) {
+  immediate = immediate || accessibility.reducedMotion;
+
+  const travel = gsap.to(tubePerc, {
+    percent: tubeStop(step),
+    duration: immediate ? 0 : 4,
+    ease: "power1.inOut",
+    onUpdate: function() {
+      cameraTargetPercentage = tubePerc.percent;
+      updateTubeTexts();
     }
-}, 0);
+  });
+
+  if (immediate) updateCameraPercentage(tubePerc.percent);
+  return travel;
+}
 
 //Scene 2: Transition to open space --------------------------------
 //Create a sphere for Scene 2
@@ -349,217 +348,293 @@ const sphereAnimation = {
 
 scene.add(sphere);
 
-// Scene 2 timeline
+// Scene 2 steps
 let scene2Step = 0;
-let totalSteps = 6;
 
-// Create array of camera positions for each Step
-const cameraSteps = [
-    // Step 0: Initial reset position
-    {
-        x: 0,
-        y: -3,
-        z: 30
-    },
-    // Step 1
-    {
-        x: 30,
-        y: 3,
-        z: 100
-    },
-    // Step 2
-    {
-        x: 8,
-        y: -3,
-        z: 140
-    },
-    // Step 3
-    {
-        x: -30,
-        y: 10,
-        z: 90,
-    },
-    // Step 4
-    {
-      x: -10,
-      y: 5,
-      z: 20
-    },
-    // Step 5
-    {
-      x: -10,
-      y: 10,
-      z: -100
-    }
-];
+// camera position (and optional rotation) for each Step
+const cameraSteps = sphereScene.steps.map(step => step.camera);
+let totalSteps = cameraSteps.length;
 
 // Scene 2 texts
-let scene2texts = [
-  document.getElementById('text7'),
-  document.getElementById('text8'),
-  document.getElementById('text9'),
-  document.getElementById('text10'),
-  document.getElementById('text11'),
-  document.getElementById('text12')
-];
+let scene2texts = renderTexts(textContainer, sphereScene.steps.map(step => textForCycle(step, cycle)), texts.length);
+trackChoices();
 gsap.set(scene2texts, { opacity: 0, scale: 0.8 })
 
 // hide buttons initially
 const buttons = document.querySelectorAll('.outlined-button');
 gsap.set(buttons, { opacity: 0 });
 
-// Scene 2 timeline
-masterTimeline.to(camera.position, {
-  duration: 120,
-  ease: "power2.inOut",
-  onStart: function() {
-      console.log("Scene 2 Start");
-      
-      // Hide the last text of Scene 1
-      gsap.to('#text6', {
-          opacity: 0,
-          duration: 1
+// pending fade-ins of the current Scene 2 step, cancelled when it changes or the scene is left
+let buttonsTimeout, textTimeout;
+
+function hideButtons() {
+  clearTimeout(buttonsTimeout);
+  buttons.forEach(button => {
+    button.style.visibility = 'hidden';
+    button.style.cursor = 'default';
+  });
+}
+
+// move the camera and swap the text for the current Scene 2 step
+// (immediate skips the camera move and fades, reduced motion only the camera move);
+// returns the camera's move
+function changeCameraAndText (immediate = false)  {
+  const durationScale = immediate ? 0 : 1;
+  const motionScale = accessibility.reducedMotion ? 0 : durationScale;
+
+  // change camera rotation for steps that define one;
+  // the others turn back to where the mouse looks, then hand the camera back to the tube's mouse look
+  // (so coming back from a rotated step turns as slowly as going there, or not at all in reduced motion)
+  // at the last tube step's stop, even if the travel there was cut short
+  const rotation = cameraSteps[scene2Step].rotation;
+  gsap.killTweensOf(camera.rotation);
+  cameraTargetPercentage = 1; // stop tube camera movement!
+  if (rotation) {
+    gsap.to(camera.rotation, {
+        x: rotation.x,
+        y: rotation.y,
+        z: rotation.z,
+        duration: 4 * motionScale,
+        ease: "power2.inOut"
+    });
+  } else {
+    gsap.to(camera.rotation, {
+        x: cameraRotationProxyY,
+        y: cameraRotationProxyX,
+        z: 0,
+        duration: 4 * motionScale,
+        ease: "power2.inOut",
+        onComplete: () => {
+          cameraTargetPercentage = tubeStop(texts.length - 1);
+        }
+    });
+  }
+
+  // delay the buttons to fade in in last step
+  if (scene2Step === totalSteps - 1) {
+    clearTimeout(buttonsTimeout);
+    buttonsTimeout = setTimeout(() => {
+      buttons.forEach(button => {
+        button.style.visibility = 'visible';
+      });
+  
+      gsap.to(buttons, {
+        opacity: 1,
+        duration: 2 * durationScale,
+        ease: "power2.inOut",
+        onComplete: function() {
+          buttons.forEach(button => {
+            button.style.cursor = 'pointer';
+          });
+        }
       });
+    }, 1000 * durationScale);
+  } else {
+    hideButtons();
+  }
+
+  // hide all texts
+  scene2texts.forEach((text, index) => {
+      text.style.opacity = 0;
+      text.style.transform = 'scale(0.8)';
+  });
+
+  // show only the current text
+  clearTimeout(textTimeout);
+  textTimeout = setTimeout(() => {
+    scene2texts[scene2Step].style.opacity = 1;
+    scene2texts[scene2Step].style.transform = 'scale(1)';
+  }, 500 * durationScale);
+
+  return gsap.to(camera.position, {
+    x: cameraSteps[scene2Step].position.x,
+    y: cameraSteps[scene2Step].position.y,
+    z: cameraSteps[scene2Step].position.z,
+    duration: 2 * motionScale,
+    ease: "power2.inOut"
+  });
+}
+
+// Scene text ----------------------------------------
+// with ?text=scene (see shared/sceneText.js) the texts are drawn in the scene:
+// the tube's along its walls, a little ahead of where the camera stops for them,
+// and Scene 2's in front of each step's camera pose
+let sceneTexts = [];
+
+function placeTubeTexts() {
+  const up = new THREE.Vector3(0, 1, 0);
+  const side = new THREE.Vector3();
+
+  texts.forEach((el, i) => {
+    const stop = tubeStop(i);
+    const ahead = Math.min(stop + 0.025, 1);
+    const text = sceneTexts[i];
+
+    // toward the wall on the side of the text's layout (right = along the path × up)
+    side.crossVectors(path.getTangentAt(ahead), up).normalize();
+    const offset = el.classList.contains('text-div-left') ? -2.5 : (el.classList.contains('text-div-right') ? 2.5 : 0);
+
+    text.position.copy(path.getPointAt(ahead)).addScaledVector(side, offset);
+    text.lookAt(path.getPointAt(stop));
+  });
+}
+
+if (sceneTextEnabled) {
+  sceneTexts = texts.map(el => {
+    const text = new SceneText(el, { lineHeight: 0.35 });
+    scene.add(text);
+    return text;
+  });
+  placeTubeTexts();
+
+  // Scene 2 texts ride with the camera group, like the camera poses
+  // (steps without a rotation look forward along the path, as the tube's mouse look does)
+  scene2texts.forEach((el, i) => {
+    const pose = cameraSteps[i];
+    const { x = 0, y = Math.PI, z = 0 } = pose.rotation || {};
+    const rotation = new THREE.Euler(x, y, z);
+    const text = new SceneText(el, { lineHeight: 1.2 });
+
+    text.position.copy(pose.position).add(new THREE.Vector3(0, 0, -30).applyEuler(rotation));
+    text.quaternion.setFromEuler(rotation);
+    c.add(text);
+    sceneTexts.push(text);
+  });
+}
 
-      // Initial camera position reset
+// Scenes ----------------------------------------
+// the chapter is the tube followed by Scene 2; moving between them exits one
+// scene and enters the other, so either way round leaves matching states.
+// show(step) brings up a step of the scene (step counted from the scene's start)
+// and returns its main tween
+const scenes = [
+  {
+    definition: tubeScene,
+    first: 0,
+    count: texts.length,
+    // back on the path: the camera returns to its center line
+    enter(immediate) {
+      const duration = immediate || accessibility.reducedMotion ? 0 : 2;
+      gsap.killTweensOf(texts);
+      post.to(tubeScene.post, immediate ? 0 : 2);
       gsap.to(camera.position, {
-          x: cameraSteps[0].x,
-          y: cameraSteps[0].y,
-          z: cameraSteps[0].z,
-          duration: 3,
-          ease: "power2.inOut",
-          onComplete: function() {
-            // show the first text of Scene 2 (text7)
-            setTimeout(() => {
-              scene2texts[0].style.opacity = 1;
-              scene2texts[0].style.transform = 'scale(1)';
-              scene2texts[0].style.transition = 'all .5s ease-in-out';
-            }, 0);  
-
-              // WheelAdaptor
-              let wheelAdaptor = new WheelAdaptor({ type: 'discrete' });
-              wheelAdaptor.connect();
-              // console.log('Scene 2 WheelAdaptor connected');
-
-              // define the function for wheelAdaptor animations
-              function changeCameraAndText ()  {
-                gsap.to(camera.position, {
-                x: cameraSteps[scene2Step].x,
-                y: cameraSteps[scene2Step].y,
-                z: cameraSteps[scene2Step].z,
-                duration: 2,
-                ease: "power2.inOut",
-                onStart: function() {
-                  // change camera rotation after Step 3
-                  if (scene2Step >=3) {
-                    cameraTargetPercentage = 1; // stop tube camera movement!
-                    gsap.to(camera.rotation, {
-                        x: -0.2,
-                        y: 0,
-                        z: 0,
-                        duration: 4,
-                        ease: "power2.inOut"
-                    });
-                }
-
-                // delay the buttons to fade in in last step
-                if (scene2Step === 5) {
-                  setTimeout(() => {
-                    buttons.forEach(button => {
-                      button.style.visibility = 'visible';
-                    });
-                
-                    gsap.to('.outlined-button', {
-                      opacity: 1,
-                      duration: 2,
-                      ease: "power2.inOut",
-                      onComplete: function() {
-                        buttons.forEach(button => {
-                          button.style.cursor = 'pointer';
-                        });
-                      }
-                    });
-                  }, 1000);
-                  } else {
-                    buttons.forEach(button => {
-                      button.style.visibility = 'hidden';
-                      button.style.cursor = 'default';
-                    });
-                  }
-
-                  // hide all texts
-                  scene2texts.forEach((text, index) => {
-                      text.style.opacity = 0;
-                      text.style.transform = 'scale(0.8)';
-                  });
-              
-                  // show only the current text
-                  setTimeout(() => {
-                        scene2texts[scene2Step].style.opacity = 1;
-                        scene2texts[scene2Step].style.transform = 'scale(1)';
-                      }, 500);
-                  },
-                  // onComplete: function() {
-                  //   console.log(`Step ${scene2Step} completed`);
-                  //   console.log(`New camera position:`, camera.position);
-                  // }
-                  });
-              }
-
-              wheelAdaptor.addEventListener('trigger', (e) => {
-                  if (e.y > 0 && scene2Step < totalSteps) { //move forward
-                      scene2Step++;
-                      changeCameraAndText();
-                      // console.log(`\n----- Moving forward to Step ${scene2Step} -----`);
-                      // console.log(`Current camera position:`, camera.position);
-                  }
-                  if (e.y < 0 && scene2Step > 0) { //move backward
-                    scene2Step--;
-                    changeCameraAndText();
-                    // console.log(`\n----- Moving backward to Step ${scene2Step} -----`);
-                    // console.log(`Current camera position:`, camera.position);
-                }
-          });
-      }
-    });
+        x: 0,
+        y: 0,
+        z: 0,
+        duration,
+        ease: "power2.inOut"
+      });
+      gsap.to(camera.rotation, {
+        z: 0,
+        duration,
+        ease: "power2.inOut"
+      });
+    },
+    show(step, immediate) {
+      return travelToTubeStep(step, immediate);
+    },
+    // stop travelling and hide the tube's texts
+    exit(immediate) {
+      gsap.killTweensOf(tubePerc);
+      texts.forEach(text => {
+        gsap.to(text, {
+          opacity: 0,
+          duration: immediate ? 0 : 1
+        });
+      });
+    }
+  },
+  {
+    definition: sphereScene,
+    first: texts.length,
+    count: totalSteps,
+    enter(immediate) {
+      post.to(sphereScene.post, immediate ? 0 : 4);
+    },
+    show(step, immediate) {
+      scene2Step = step;
+      return changeCameraAndText(immediate);
+    },
+    // hide Scene 2's texts and buttons and stop its camera moves
+    exit() {
+      clearTimeout(textTimeout);
+      gsap.killTweensOf(camera.position);
+      gsap.killTweensOf(camera.rotation);
+      scene2texts.forEach(text => {
+        text.style.opacity = 0;
+        text.style.transform = 'scale(0.8)';
+      });
+      hideButtons();
+    }
   }
-});
+];
 
-//Scene 2 timeline backup
-// masterTimeline.to(camera.position, {
-//   z: 200,
-//   duration: 5,
-//   ease: "power1.inOut",
-//   onStart: function() {
-//     console.log("Scene 2 Start");
-
-//     // Reset camera position
-//     gsap.to(camera.position, {
-//       x: 0,
-//       y: -3,
-//       z: 50,
-//       duration: 5,
-//       ease: "power1.inOut",
-//       onComplete: function() {
-//         // controls.enabled = true; // enable orbit controls
-//       }
-//     });
-    
-//     // // Reset camera rotation (to see the whole tube)
-//     // gsap.to(camera.rotation, {
-//     //   x: 0,
-//     //   // y: 0,
-//     //   y: 3.14, // 180 degrees
-//     //   z: 0,
-//     //   duration: 5,
-//     //   ease: "power1.inOut"
-//     // });
-    
-//     // Stop the camera movement update from the tube
-//     cameraTargetPercentage = 1; // stop the tube camera movement
-//   },
-// });
+function sceneOf(step) {
+  return scenes.find(scene => step < scene.first + scene.count);
+}
 
+// leave the current scene if the step is in another one, then show the step
+// (returns the step's main tween, see show)
+function goToStep(step, previous, immediate = false) {
+  const scene = sceneOf(step);
+  const previousScene = previous === undefined ? null : sceneOf(previous);
+
+  // the first scene is set up right away
+  if (scene !== previousScene) {
+    if (previousScene) previousScene.exit(immediate);
+    scene.enter(immediate || !previousScene);
+  }
+  return scene.show(step - scene.first, immediate);
+}
+
+// Step navigation ----------------------------------------
+// the tube texts come first, followed by the Scene 2 steps;
+// in the URL they are #scene=1&step=N (tube) and #scene=2&step=N (cameraSteps);
+// a step outside its scene decodes to NaN, so the link falls back to the default step
+const hashLink = {
+  encode: (step) => step < texts.length
+    ? { scene: 1, step }
+    : { scene: 2, step: step - texts.length },
+  decode: (params) => {
+    const step = parseInt(params.step, 10);
+    const [first, count] = params.scene === '2' ? [texts.length, totalSteps] : [0, texts.length];
+    return step >= 0 && step < count ? first + step : NaN;
+  }
+};
+
+const startStep = stepFromHash(texts.length + totalSteps, hashLink);
+
+const stepNavigator = new StepNavigator({ count: texts.length + totalSteps, start: startStep });
+connectInputs(stepNavigator);
+linkToHash(stepNavigator, hashLink);
+runKiosk(stepNavigator); // unattended gallery mode (?kiosk)
+createReflectionPrompt({ chapter: 'unborn', stepNavigator }); // opened by the last step's "reflect" button
+trackJourney({ page: 'unborn', stepNavigator, sceneOf: step => sceneOf(step).definition.id }); // anonymous dwell times (?analytics)
+
+// every text in step order, for the screen-reader narration
+const allTexts = [...texts, ...scene2texts];
+
+stepNavigator.addEventListener('change', (e) => {
+  const { step, previous } = e.detail;
+  announceStep(allTexts, step);
+
+  // play the step's sound cues
+  const scene = sceneOf(step);
+  audio.cue(scene.definition.steps[step - scene.first].cues);
+
+  // the navigator stays locked until the tube travel or the camera's move is over
+  stepNavigator.lockDuring(goToStep(step, previous));
+});
+
+// start at the beginning of the tube, or jump straight to the linked step
+// (a link into Scene 2 passes through the end of the tube first)
+announceStep(allTexts, startStep);
+let entryStep;
+if (startStep >= texts.length) {
+  entryStep = texts.length - 1;
+  goToStep(entryStep, undefined, true);
+}
+goToStep(startStep, entryStep, startStep > 0);
 
 //Create particles (stars) system =========================================
 var ovumTexture = new THREE.TextureLoader().load('/media/ovum.png');
@@ -622,11 +697,50 @@ function createParticleSystem() {
     scene.add(particleSystem3);
 }
 
+// show only part of the particles on lower quality tiers (0..1)
+function setParticleDensity(density) {
+  [particleSystem1, particleSystem2, particleSystem3].forEach(system => {
+    system.geometry.setDrawRange(0, Math.floor(system.geometry.attributes.position.count * density));
+  });
+}
+
 // Call the function after scene is created and before the render loop
 createParticleSystem();
 
+//Reflections left by earlier visitors drift among the particles (see shared/reflections.js)
+loadReflections(12).then(reflections => {
+  reflections.forEach(reflection => {
+    var sprite = createReflectionSprite(reflection.text, { lineHeight: 2 });
+    sprite.position.set(Math.random() * 500 - 250, Math.random() * 50 - 25, Math.random() * 500 - 250);
+    particleSystem1.add(sprite);
+  });
+});
+
+//Apply quality tiers =========================================
+function applyQuality(tier) {
+  const settings = qualityTiers[tier];
+  setParticleDensity(settings.particles);
+  renderer.setPixelRatio(settings.pixelRatio);
+  post.setPixelRatio(settings.pixelRatio);
+  post.bloomEnabled = settings.bloom;
+}
+applyQuality(quality.tier);
+quality.addEventListener('change', (e) => applyQuality(e.detail.tier));
+
+//The visitor's run as a video, with the texts and the soundtrack (see shared/recorder.js)
+var recorder = new JourneyRecorder({
+  canvas: renderer.domElement,
+  audio,
+  overlays: [textContainer],
+  name: 'unborn'
+});
+createRecordButton(recorder);
+
 //Render =========================================
 function render(){
+  quality.frame();
+  if (stats) stats.update();
+
   if(cameraTargetPercentage < 1) { // Only update during tube section
     currentCameraPercentage = cameraTargetPercentage;
     camera.rotation.y += (cameraRotationProxyX - camera.rotation.y) / 15;
@@ -638,14 +752,17 @@ function render(){
     controls.update(); // Required for damping to work
   }
 
-  // animate sphere
-  if (sphere) {
+  // texts in the scene follow their overlays' fades
+  sceneTexts.forEach(text => text.update());
+
+  // animate sphere (sphere and particles stand still in reduced motion)
+  if (sphere && !accessibility.reducedMotion) {
     sphere.rotation.y += sphereAnimation.rotationSpeed;
     sphere.rotation.x += sphereAnimation.rotationSpeed * 0.5;
   }
   
   // animate particles (stars)
-  if (particleSystem1) {
+  if (particleSystem1 && !accessibility.reducedMotion) {
       particleSystem1.rotation.y += 0.0002;
       particleSystem2.rotation.x += 0.0005;
       particleSystem3.rotation.z += 0.0001;
@@ -662,25 +779,19 @@ function render(){
   //     }
   // }
   
-  //Render the scene
+  //Render the scene (from the path editor's overview while it is open)
   //renderer.render(scene, camera);
-  composer.render();
+  if (pathEditor && pathEditor.active) {
+    pathEditor.render();
+  } else {
+    post.render(clock.getElapsedTime());
+  }
+  recorder.capture();
 
   requestAnimationFrame(render);
 }
 requestAnimationFrame(render);
 
-// $('canvas').click(function(){
-//   console.clear();
-//   markers.push(p1);
-//   console.log(JSON.stringify(markers));
-// });
-document.querySelector('canvas').addEventListener('click', function() {
-  console.clear();
-  // markers.push(p1);
-  // console.log(JSON.stringify(markers));
-});
-
 window.addEventListener( 'resize', function () {
   
   var width = window.innerWidth;
@@ -690,12 +801,15 @@ window.addEventListener( 'resize', function () {
 	camera.updateProjectionMatrix();
   
   renderer.setSize( width, height );
-  composer.setSize( width, height );
+  post.setSize( width, height );
+  if (pathEditor) pathEditor.setSize( width, height );
   
 }, false );
 
 //Mouse movement to control camera rotation =========================================
+// (the camera keeps still in reduced motion)
 document.addEventListener('mousemove', function(evt) {
+  if (accessibility.reducedMotion) return;
   cameraRotationProxyX = Mathutils.map(evt.clientX, 0, window.innerWidth, 3.24, 3.04);
   cameraRotationProxyY = Mathutils.map(evt.clientY, 0, window.innerHeight, -.1, .1);
 });
@@ -738,9 +852,330 @@ const controls = new OrbitControls(camera, renderer.domElement);
 controls.enableDamping = true; // Smooth camera movement
 controls.dampingFactor = 0.05;
 controls.screenSpacePanning = false;
-controls.minDistance = 10;
+controls.minDistance = 120; // stay outside the sphere
 controls.maxDistance = 500;
 controls.maxPolarAngle = Math.PI / 1.5; // Limit vertical rotation
 
 // Enable/disable controls based on scene
-controls.enabled = false; // Start with controls disabled during tube scene
\ No newline at end of file
+controls.enabled = false; // only on in explore mode
+
+// Explore mode =========================================
+// after the last Scene 2 step, "Stay a while" lets the visitor orbit the sphere
+// and touch its hotspots for more fragments of text (sphereScene.explore in story.json);
+// the steps are locked meanwhile, so the wheel only zooms
+const explore = sphereScene.explore;
+const storyFar = camera.far;
+let exploring = false;
+
+// hotspots ride on the sphere's surface, turning with it
+const hotspotMaterial = new THREE.SpriteMaterial({
+  map: ovumTexture,
+  color: 0xff6060,
+  blending: THREE.AdditiveBlending,
+  transparent: true
+});
+const hotspots = explore.hotspots.map(hotspot => {
+  const sprite = new THREE.Sprite(hotspotMaterial);
+  sprite.position.fromArray(hotspot.direction).normalize().multiplyScalar(104);
+  sprite.scale.setScalar(10);
+  sprite.userData.text = hotspot.text;
+  sprite.visible = false;
+  sphere.add(sprite);
+  return sprite;
+});
+
+const exploreUI = document.createElement('div');
+exploreUI.className = 'explore';
+exploreUI.hidden = true;
+const exploreHint = document.createElement('p');
+exploreHint.className = 'explore-hint';
+exploreHint.textContent = explore.hint;
+const exploreFragment = document.createElement('p');
+exploreFragment.className = 'explore-fragment';
+const exploreReturn = document.createElement('button');
+exploreReturn.className = 'outlined-button explore-return';
+exploreReturn.textContent = explore.return;
+exploreUI.append(exploreHint, exploreFragment, exploreReturn);
+document.body.appendChild(exploreUI);
+recorder.overlays.push(exploreUI); // the fragments go into the video too
+
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+
+// the hotspot under a pointer event, if any
+function hotspotAt(evt) {
+  pointer.set((evt.clientX / window.innerWidth) * 2 - 1, -(evt.clientY / window.innerHeight) * 2 + 1);
+  raycaster.setFromCamera(pointer, camera);
+  const hit = raycaster.intersectObjects(hotspots)[0];
+  return hit && hit.object;
+}
+
+function showFragment(text) {
+  exploreFragment.textContent = '';
+  text.split('\n').forEach((line, i) => {
+    if (i > 0) exploreFragment.appendChild(document.createElement('br'));
+    exploreFragment.appendChild(document.createTextNode(line));
+  });
+  gsap.fromTo(exploreFragment, { opacity: 0 }, { opacity: 1, duration: accessibility.reducedMotion ? 0 : 1.5 });
+  announce(text);
+}
+
+function enterExplore() {
+  exploring = true;
+  document.body.classList.add('exploring');
+  stepNavigator.lock();
+  gsap.killTweensOf(camera.position);
+  gsap.killTweensOf(camera.rotation);
+  hideButtons();
+  gsap.to(scene2texts[scene2Step], { opacity: 0, duration: 1 });
+
+  // orbit in world space, from where the camera is now
+  scene.attach(camera);
+  camera.far = 1000;
+  camera.updateProjectionMatrix();
+  controls.target.copy(sphere.position);
+  controls.enableDamping = !accessibility.reducedMotion;
+  controls.enabled = true;
+  controls.update();
+
+  hotspots.forEach(hotspot => hotspot.visible = true);
+  exploreFragment.textContent = '';
+  exploreUI.hidden = false;
+  announce(explore.hint);
+}
+
+// back to the last step of the story
+function exitExplore() {
+  exploring = false;
+  document.body.classList.remove('exploring');
+  controls.enabled = false;
+  hotspots.forEach(hotspot => hotspot.visible = false);
+  exploreUI.hidden = true;
+  renderer.domElement.style.cursor = '';
+
+  c.attach(camera);
+  camera.far = storyFar;
+  camera.updateProjectionMatrix();
+
+  stepNavigator.unlock();
+  changeCameraAndText();
+}
+
+document.querySelectorAll('[data-action="explore"]').forEach(button => {
+  button.addEventListener('click', enterExplore);
+});
+exploreReturn.addEventListener('click', exitExplore);
+
+document.addEventListener('keydown', (evt) => {
+  if (exploring && evt.key === 'Escape') exitExplore();
+});
+
+renderer.domElement.addEventListener('click', (evt) => {
+  if (!exploring) return;
+  const hotspot = hotspotAt(evt);
+  if (hotspot) showFragment(hotspot.userData.text);
+});
+
+renderer.domElement.addEventListener('pointermove', (evt) => {
+  if (!exploring) return;
+  renderer.domElement.style.cursor = hotspotAt(evt) ? 'pointer' : '';
+});
+
+// Authoring panel (?author, see shared/authoring.js) =========================================
+// the tube's path and end, each scene's post effects and the Scene 2 camera poses;
+// edits change the story in place and show right away
+var stats, pathEditor;
+
+const postRanges = {
+  bloom: [0, 3, 0.01],
+  bloomRadius: [0, 1, 0.01],
+  bloomThreshold: [0, 1, 0.01],
+  grain: [0, 1, 0.01],
+  vignette: [0, 1, 0.01],
+  aberration: [0, 3, 0.01],
+  grade: [0, 1, 0.01]
+};
+
+function setupGui() {
+  const panel = createAuthoringPanel('unborn');
+  const gui = panel.gui;
+  stats = panel.stats;
+
+  const freeCamera = createFreeCamera(camera, renderer.domElement);
+  const axesHelper = new THREE.AxesHelper(500);
+  let stepFolder;
+  let tubeTarget;
+
+  const inScene2 = () => stepNavigator.step >= texts.length;
+  const currentScene = () => inScene2() ? sphereScene : tubeScene;
+
+  // show the current step again, right away
+  const apply = () => {
+    if (inScene2()) {
+      changeCameraAndText(true);
+    } else {
+      travelToTubeStep(stepNavigator.step, true);
+    }
+  };
+
+  const tools = {
+    axes: false,
+    freeCamera: false,
+    capture() {
+      // tube poses come from the path, only Scene 2 steps have their own
+      if (!inScene2()) {
+        console.warn('Camera poses are captured for Scene 2 steps only');
+        return;
+      }
+      Object.assign(cameraSteps[scene2Step], capturePose(camera));
+      buildStepFolder();
+    },
+    export() {
+      exportJSON(story, 'story.json');
+    },
+    load() {
+      // new texts show after a reload, everything else right away
+      pickJSON().then(loaded => {
+        loaded.scenes.forEach((scene, i) => {
+          const target = story.scenes[i];
+          if (!target) return;
+          if (scene.end !== undefined) target.end = scene.end;
+          target.post = scene.post;
+          scene.steps.forEach((step, j) => {
+            if (target.steps[j]) Object.assign(target.steps[j], step);
+          });
+        });
+        sphereScene.steps.forEach((step, j) => {
+          cameraSteps[j] = step.camera;
+        });
+        buildStepFolder();
+        post.to(currentScene().post, 0);
+        apply();
+      }).catch(error => {
+        console.error('Could not load the story:', error);
+      });
+    }
+  };
+
+  gui.add(tools, 'axes').onChange(visible => {
+    if (visible) {
+      scene.add(axesHelper);
+    } else {
+      scene.remove(axesHelper);
+    }
+  });
+
+  // the tube camera follows the path every frame, so it is parked meanwhile;
+  // orbiting uses the wheel too, so the steps stay put as well
+  gui.add(tools, 'freeCamera').name('free camera').onChange(enabled => {
+    freeCamera.enabled = enabled;
+    if (enabled) {
+      tubeTarget = cameraTargetPercentage;
+      cameraTargetPercentage = 1;
+      stepNavigator.lock();
+    } else {
+      if (!inScene2()) cameraTargetPercentage = tubeTarget;
+      stepNavigator.unlock();
+      apply();
+    }
+  });
+  gui.add(tools, 'capture').name('capture camera pose');
+  gui.add(tools, 'export').name('export story.json');
+  gui.add(tools, 'load').name('load story.json');
+
+  const tubeFolder = gui.addFolder('tube');
+  tubeFolder.add(tubeScene, 'end', 0.5, 1, 0.001).onChange(() => {
+    if (!inScene2()) apply();
+  });
+  addFields(tubeFolder.addFolder('post'), tubeScene, 'post', postDefaults, postRanges, () => {
+    if (!inScene2()) post.to(tubeScene.post, 0);
+  });
+
+  // the tunnel's shape: drag the control points from above (see pathEditor.js)
+  pathEditor = new PathEditor({ scene, renderer, path, tube, createGeometry: createTubeGeometry });
+  if (sceneTextEnabled) pathEditor.addEventListener('change', placeTubeTexts);
+  const pathTools = {
+    edit: false,
+    addPoint() {
+      pathEditor.addPoint();
+    },
+    removePoint() {
+      pathEditor.removePoint();
+    },
+    preview() {
+      // fly the whole tube once, then go back to the current step
+      if (inScene2()) {
+        console.warn('The fly-through previews from a tube step');
+        return;
+      }
+      pathTools.edit = false;
+      pathEditor.active = false;
+      stepNavigator.lock();
+      gsap.killTweensOf(tubePerc);
+      gsap.fromTo(tubePerc, { percent: 0 }, {
+        percent: tubeScene.end,
+        duration: 12,
+        ease: "none",
+        onUpdate: function() {
+          cameraTargetPercentage = tubePerc.percent;
+          updateTubeTexts();
+        },
+        onComplete: function() {
+          stepNavigator.unlock();
+          travelToTubeStep(stepNavigator.step);
+        }
+      });
+    },
+    save() {
+      exportJSON(pathEditor.toJSON(), 'path.json');
+    },
+    load() {
+      pickJSON().then(loaded => pathEditor.load(loaded)).catch(error => {
+        console.error('Could not load the path:', error);
+      });
+    }
+  };
+
+  const pathFolder = tubeFolder.addFolder('path');
+  pathFolder.add(pathTools, 'edit').listen().onChange(enabled => {
+    pathEditor.active = enabled;
+    if (enabled) {
+      stepNavigator.lock();
+    } else {
+      stepNavigator.unlock();
+    }
+  });
+  pathFolder.add(pathTools, 'addPoint').name('add point');
+  pathFolder.add(pathTools, 'removePoint').name('remove point');
+  pathFolder.add(pathTools, 'preview').name('preview fly-through');
+  pathFolder.add(pathTools, 'save').name('save path.json');
+  pathFolder.add(pathTools, 'load').name('load path.json');
+
+  const sphereFolder = gui.addFolder('sphere');
+  addFields(sphereFolder.addFolder('post'), sphereScene, 'post', postDefaults, postRanges, () => {
+    if (inScene2()) post.to(sphereScene.post, 0);
+  });
+
+  // the current Scene 2 step's camera, in the camera group's space
+  function buildStepFolder() {
+    if (stepFolder) stepFolder.destroy();
+    stepFolder = null;
+    if (!inScene2()) return;
+
+    const pose = cameraSteps[scene2Step];
+    stepFolder = sphereFolder.addFolder(`step ${scene2Step}`);
+    ['x', 'y', 'z'].forEach(axis => {
+      stepFolder.add(pose.position, axis, -500, 500, 1).onChange(apply);
+    });
+    if (pose.rotation) {
+      ['x', 'y', 'z'].forEach(axis => {
+        stepFolder.add(pose.rotation, axis, -Math.PI, Math.PI, 0.01).name(`rotation ${axis}`).onChange(apply);
+      });
+    }
+  }
+
+  buildStepFolder();
+  stepNavigator.addEventListener('change', buildStepFolder);
+}
+
+if (authoring) setupGui();